@@ -0,0 +1,82 @@
+import { env, ORIGIN_PATTERN } from './env.js';
+import { logger } from '../utils/logger.js';
+
+// Origins allowed to make credentialed cross-origin calls. Entries are exact origins
+// (https://app.example.com) or wildcard subdomain patterns (https://*.example.com, which
+// matches any subdomain but not example.com itself). Scheme and port must match exactly.
+// Entries are validated by config/env.js.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compileOrigin = (origin) => {
+  const [, scheme, wildcard, host, port] = ORIGIN_PATTERN.exec(origin);
+  const suffix = `${escapeRegExp(host)}${port ? `:${port}` : ''}`;
+  return {
+    entry: origin,
+    pattern: wildcard
+      ? new RegExp(`^${scheme}://(?:[a-z0-9-]+\\.)+${suffix}$`)
+      : new RegExp(`^${escapeRegExp(origin)}$`)
+  };
+};
+
+// CORS_ORIGIN is the older single-origin name and is still honored
+const APP_ORIGINS = (env.CORS_ORIGINS || env.CORS_ORIGIN || [new URL(env.FRONTEND_URL).origin])
+  .map(compileOrigin);
+const ADMIN_ORIGINS = env.CORS_ADMIN_ORIGINS ? env.CORS_ADMIN_ORIGINS.map(compileOrigin) : APP_ORIGINS;
+
+// Logs the allowlists the server is running with
+function initializeCorsConfig() {
+  logger.info('CORS allowlist loaded', {
+    app_origins: APP_ORIGINS.map(({ entry }) => entry),
+    admin_origins: ADMIN_ORIGINS.map(({ entry }) => entry)
+  });
+}
+
+const matchesAllowlist = (allowlist, origin) => {
+  const normalized = String(origin).toLowerCase();
+  return allowlist.some(({ pattern }) => pattern.test(normalized));
+};
+
+const isAppOrigin = (origin) => matchesAllowlist(APP_ORIGINS, origin);
+const isAdminOrigin = (origin) => matchesAllowlist(ADMIN_ORIGINS, origin);
+
+const BASE_ALLOWED_HEADERS = ['Accept', 'Authorization', 'Cache-Control', 'Content-Type', 'X-Requested-With', 'X-Request-Id'];
+
+// public: read-only data any site may embed (leaderboards, scores). Allowlisted origins
+//         still get credentials; everyone else gets `*` without them.
+// app:    the frontend; allowlisted origins only, with the Twitter session cookie.
+// admin:  the admin panel; CORS_ADMIN_ORIGINS (defaults to the app allowlist).
+const CORS_POLICIES = {
+  public: {
+    isAllowed: () => true,
+    credentials: isAppOrigin,
+    methods: ['GET', 'HEAD'],
+    allowedHeaders: BASE_ALLOWED_HEADERS,
+    exposedHeaders: ['X-Request-Id']
+  },
+  app: {
+    isAllowed: isAppOrigin,
+    credentials: () => true,
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: BASE_ALLOWED_HEADERS,
+    exposedHeaders: ['X-Request-Id']
+  },
+  admin: {
+    isAllowed: isAdminOrigin,
+    credentials: () => true,
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: BASE_ALLOWED_HEADERS,
+    // Exports are downloaded through fetch and named from Content-Disposition
+    exposedHeaders: ['X-Request-Id', 'Content-Disposition']
+  }
+};
+
+const CORS_PREFLIGHT_MAX_AGE_SECONDS = 86400;
+
+export {
+  CORS_POLICIES,
+  CORS_PREFLIGHT_MAX_AGE_SECONDS,
+  initializeCorsConfig,
+  isAppOrigin,
+  isAdminOrigin
+};
@@ -1,73 +1,44 @@
 import pkg from 'pg';
+import { env } from './env.js';
+import { logger } from '../utils/logger.js';
 const { Pool } = pkg;
 
+// DATABASE_URL when set, otherwise the PG* variables (local development). An sslmode in the
+// URL takes precedence over DATABASE_SSL.
+const connectionSettings = env.DATABASE_URL
+  ? { connectionString: env.DATABASE_URL }
+  : {
+    user: env.PGUSER,
+    host: env.PGHOST,
+    database: env.PGDATABASE,
+    password: env.PGPASSWORD,
+    port: env.PGPORT
+  };
+
+// disable: plain TCP; require: encrypted, certificate not checked (self-signed hosted
+// databases); verify: encrypted and verified against DATABASE_SSL_CA or the system CAs
+const sslSettings = () => {
+  if (env.DATABASE_SSL === 'require') {
+    return { rejectUnauthorized: false };
+  }
+  if (env.DATABASE_SSL === 'verify') {
+    return env.DATABASE_SSL_CA ? { rejectUnauthorized: true, ca: env.DATABASE_SSL_CA } : { rejectUnauthorized: true };
+  }
+  return false;
+};
+
 const pool = new Pool({
-  user: process.env.PGUSER || 'postgres',
-  host: process.env.PGHOST || 'localhost',
-  database: process.env.PGDATABASE || 'postgres',
-  password: process.env.PGPASSWORD || 'postgres',
-  port: parseInt(process.env.PGPORT || '5432'),
+  ...connectionSettings,
+  ssl: sslSettings(),
+  max: env.DATABASE_POOL_MAX,
+  idleTimeoutMillis: env.DATABASE_POOL_IDLE_TIMEOUT_MS,
+  connectionTimeoutMillis: env.DATABASE_CONNECTION_TIMEOUT_MS
 });
 
-// Initialize database tables
-const initializeDatabase = async () => {
-  const client = await pool.connect();
-  try {
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        twitter_id VARCHAR(255) UNIQUE NOT NULL,
-        twitter_username VARCHAR(255) NOT NULL,
-        twitter_name VARCHAR(255) NOT NULL,
-        telegram_username VARCHAR(255) NOT NULL,
-        wallet_address VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS user_profiles (
-        id SERIAL PRIMARY KEY,
-        wallet_address VARCHAR(42) NOT NULL,
-        twitter_id VARCHAR(100) NOT NULL,
-        twitter_username VARCHAR(100),
-        twitter_name VARCHAR(200),
-        telegram_username VARCHAR(100) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        CONSTRAINT uq_user_profiles_twitter_id UNIQUE (twitter_id),
-        CONSTRAINT uq_user_profiles_telegram_username UNIQUE (telegram_username),
-        CONSTRAINT uq_user_profiles_wallet_address UNIQUE (wallet_address)
-      );
-
-      CREATE TABLE IF NOT EXISTS status_checks (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        client_name VARCHAR(255) NOT NULL,
-        timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-      );
-
-      -- Create indexes for user_profiles
-      CREATE INDEX IF NOT EXISTS idx_user_profiles_wallet ON user_profiles(wallet_address);
-      CREATE INDEX IF NOT EXISTS idx_user_profiles_twitter_id ON user_profiles(twitter_id);
-      CREATE INDEX IF NOT EXISTS idx_user_profiles_telegram_username ON user_profiles(telegram_username);
-
-      -- Create trigger for updated_at
-      CREATE OR REPLACE FUNCTION update_updated_at_column()
-      RETURNS TRIGGER AS $$
-      BEGIN
-          NEW.updated_at = CURRENT_TIMESTAMP;
-          RETURN NEW;
-      END;
-      $$ language 'plpgsql';
-
-      DROP TRIGGER IF EXISTS update_user_profiles_updated_at ON user_profiles;
-      CREATE TRIGGER update_user_profiles_updated_at
-          BEFORE UPDATE ON user_profiles
-          FOR EACH ROW
-          EXECUTE FUNCTION update_updated_at_column();
-    `);
-    console.log('Database tables initialized successfully');
-  } finally {
-    client.release();
-  }
-};
+// An idle client losing its connection (e.g. Postgres restarting) must not crash the
+// process; the pool replaces it and /health/ready reports the outage meanwhile
+pool.on('error', (error) => {
+  logger.error('Idle database client error', { error });
+});
 
-export { pool, initializeDatabase };
+export { pool };
@@ -0,0 +1,313 @@
+import dotenv from 'dotenv';
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { logger, setLogLevel } from '../utils/logger.js';
+
+// Every setting the app reads from the environment, parsed and validated once at startup.
+//
+// Values come from the process environment, then from the project's .env file (ENV_FILE
+// points elsewhere); real environment variables always win. Each SCHEMA entry gives a type,
+// an optional default and whether it is required (always, or only in production). Problems
+// with every setting are collected and reported together, and the process exits before any
+// other module uses a bad value.
+//
+// The rest of the code imports `env` from here instead of reading process.env.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ENV_FILE = process.env.ENV_FILE || join(__dirname, '../../.env');
+const envFileLoaded = !dotenv.config({ path: ENV_FILE }).error;
+
+const NODE_ENVS = ['development', 'production', 'test'];
+const TWITTER_AUTH_FLOWS = ['oauth1', 'oauth2', 'sandbox'];
+const RATE_LIMIT_KEY_TYPES = ['ip', 'wallet', 'twitter_id'];
+const DATABASE_SSL_MODES = ['disable', 'require', 'verify'];
+const STORE_BACKENDS = ['postgres', 'memory'];
+const LOG_LEVEL_NAMES = ['error', 'warn', 'info', 'debug'];
+
+// scheme://host[:port] or scheme://*.domain[:port], see config/cors.js
+const ORIGIN_PATTERN = /^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}))?$/;
+
+// --- Types ---
+// Each parser returns the typed value or throws with a message describing what is expected.
+
+const parseInteger = ({ min = -Infinity, max = Infinity } = {}) => (raw) => {
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new Error(`must be an integer ${range}`);
+  }
+  return value;
+};
+
+const parseNonNegativeNumber = (raw) => {
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error('must be a non-negative number');
+  }
+  return value;
+};
+
+const parseBoolean = (raw) => {
+  const value = raw.toLowerCase();
+  if (['true', '1', 'yes'].includes(value)) return true;
+  if (['false', '0', 'no'].includes(value)) return false;
+  throw new Error('must be true or false');
+};
+
+const parseEnum = (values) => (raw) => {
+  const value = raw.toLowerCase();
+  if (!values.includes(value)) {
+    throw new Error(`must be one of: ${values.join(', ')}`);
+  }
+  return value;
+};
+
+const parseUrl = (protocols) => (raw) => {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw new Error(`must be a URL (${protocols.join(' or ')})`);
+  }
+  if (!protocols.includes(url.protocol.replace(/:$/, ''))) {
+    throw new Error(`must be a URL (${protocols.join(' or ')})`);
+  }
+  return raw;
+};
+
+const parseList = (raw) => raw.split(/[\s,]+/).filter(Boolean);
+
+const parseOrigins = (raw) => {
+  const origins = parseList(raw).map((entry) => entry.toLowerCase().replace(/\/+$/, ''));
+  const invalid = origins.filter((origin) => !ORIGIN_PATTERN.test(origin));
+  if (invalid.length > 0) {
+    throw new Error(`has invalid origins (${invalid.join(', ')}); expected scheme://host[:port] or scheme://*.domain[:port]`);
+  }
+  return origins;
+};
+
+// Express `trust proxy`: a hop count, true/false, or addresses/subnets
+const parseTrustProxy = (raw) => {
+  if (raw === 'true' || raw === 'false') {
+    return raw === 'true';
+  }
+  return /^\d+$/.test(raw) ? Number(raw) : raw;
+};
+
+// 32 bytes, written as 64 hex characters or base64
+const parseEncryptionKey = (raw) => {
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('must be a 32-byte key, as 64 hex characters or base64 (e.g. `openssl rand -hex 32`)');
+  }
+  return key;
+};
+
+// PEM text (newlines may be written as \n) or the path of a PEM file
+const parseCertificate = (raw) => {
+  const pem = raw.replace(/\\n/g, '\n');
+  if (pem.includes('-----BEGIN CERTIFICATE-----')) {
+    return pem;
+  }
+  if (!existsSync(raw)) {
+    throw new Error('must be a PEM certificate or the path of one');
+  }
+  return readFileSync(raw, 'utf8');
+};
+
+const isProductionEnv = (values) => values.NODE_ENV === 'production';
+
+const rateLimitSettings = (policy) => ({
+  [`${policy}_RATE_LIMIT`]: { parse: parseInteger({ min: 1 }) },
+  [`${policy}_RATE_LIMIT_WINDOW_MINUTES`]: { parse: parseInteger({ min: 1 }) },
+  [`${policy}_RATE_LIMIT_KEY`]: { parse: parseEnum(RATE_LIMIT_KEY_TYPES) }
+});
+
+const scoringSettings = (source) => ({
+  [`SCORE_WEIGHT_${source}`]: { parse: parseNonNegativeNumber, default: 1 },
+  [`SCORE_CAP_${source}`]: { parse: parseNonNegativeNumber, default: null }
+});
+
+// `required` is true, or a function of the already-parsed values (settings are parsed in
+// order, so it may only look at settings listed above it)
+const SCHEMA = {
+  NODE_ENV: { parse: parseEnum(NODE_ENVS), default: 'development' },
+  PORT: { parse: parseInteger({ min: 1, max: 65535 }), default: 3001 },
+  BACKEND_URL: { parse: parseUrl(['http', 'https']), required: isProductionEnv },
+  FRONTEND_URL: { parse: parseUrl(['http', 'https']), required: isProductionEnv, default: 'http://localhost:5173' },
+  TRUST_PROXY: { parse: parseTrustProxy, default: (values) => (isProductionEnv(values) ? 1 : false) },
+  MIGRATE_ON_START: { parse: parseBoolean, default: true },
+  LOG_LEVEL: { parse: parseEnum(LOG_LEVEL_NAMES), default: 'info' },
+
+  // Database: DATABASE_URL, or the PG* variables for local development
+  DATABASE_URL: { parse: parseUrl(['postgres', 'postgresql']), required: isProductionEnv },
+  PGHOST: { parse: String, default: 'localhost' },
+  PGPORT: { parse: parseInteger({ min: 1, max: 65535 }), default: 5432 },
+  PGUSER: { parse: String, default: 'postgres' },
+  PGPASSWORD: { parse: String, default: 'postgres' },
+  PGDATABASE: { parse: String, default: 'postgres' },
+  DATABASE_SSL: { parse: parseEnum(DATABASE_SSL_MODES), default: 'disable' },
+  DATABASE_SSL_CA: { parse: parseCertificate },
+  DATABASE_POOL_MAX: { parse: parseInteger({ min: 1 }), default: 10 },
+  DATABASE_POOL_IDLE_TIMEOUT_MS: { parse: parseInteger({ min: 0 }), default: 10000 },
+  DATABASE_CONNECTION_TIMEOUT_MS: { parse: parseInteger({ min: 0 }), default: 5000 },
+
+  // Twitter login
+  TWITTER_AUTH_FLOW: { parse: parseEnum(TWITTER_AUTH_FLOWS), default: 'oauth1' },
+  TWITTER_API_KEY: { parse: String, required: (values) => isProductionEnv(values) && values.TWITTER_AUTH_FLOW === 'oauth1' },
+  TWITTER_API_SECRET: { parse: String, required: (values) => isProductionEnv(values) && values.TWITTER_AUTH_FLOW === 'oauth1' },
+  TWITTER_CLIENT_ID: { parse: String, required: (values) => isProductionEnv(values) && values.TWITTER_AUTH_FLOW === 'oauth2' },
+  TWITTER_CLIENT_SECRET: { parse: String },
+  TWITTER_OAUTH2_SCOPES: { parse: parseList, default: ['tweet.read', 'users.read', 'offline.access'] },
+  TWITTER_SANDBOX_USERS: { parse: parseList, default: [] },
+  TWITTER_REQUEST_TOKEN_URL: { parse: parseUrl(['http', 'https']), default: 'https://api.twitter.com/oauth/request_token' },
+  TWITTER_AUTHORIZE_URL: { parse: parseUrl(['http', 'https']), default: 'https://api.twitter.com/oauth/authorize' },
+  TWITTER_ACCESS_TOKEN_URL: { parse: parseUrl(['http', 'https']), default: 'https://api.twitter.com/oauth/access_token' },
+  TWITTER_USER_INFO_URL: { parse: parseUrl(['http', 'https']), default: 'https://api.twitter.com/1.1/account/verify_credentials.json' },
+  TWITTER_OAUTH2_AUTHORIZE_URL: { parse: parseUrl(['http', 'https']), default: 'https://twitter.com/i/oauth2/authorize' },
+  TWITTER_OAUTH2_TOKEN_URL: { parse: parseUrl(['http', 'https']), default: 'https://api.twitter.com/2/oauth2/token' },
+  TWITTER_OAUTH2_USER_INFO_URL: {
+    parse: parseUrl(['http', 'https']),
+    default: 'https://api.twitter.com/2/users/me?user.fields=profile_image_url,description,created_at,public_metrics,verified'
+  },
+  OAUTH_REQUEST_TOKEN_TTL_MINUTES: { parse: parseInteger({ min: 1 }), default: 15 },
+
+  // Twitter profile snapshots (services/twitterProfiles.js). Without an encryption key user
+  // tokens are not kept, so profiles only refresh when their owner logs in again.
+  TWITTER_TOKEN_ENCRYPTION_KEY: { parse: parseEncryptionKey },
+  PROFILE_REFRESH_INTERVAL_MINUTES: { parse: parseInteger({ min: 0 }), default: 60 },
+  PROFILE_REFRESH_STALE_HOURS: { parse: parseInteger({ min: 1 }), default: 24 },
+  PROFILE_REFRESH_BATCH_SIZE: { parse: parseInteger({ min: 1, max: 1000 }), default: 50 },
+
+  // Sessions, Telegram and wallets
+  SESSION_SECRET: { parse: String, required: isProductionEnv },
+  TWITTER_SESSION_TTL_MINUTES: { parse: parseInteger({ min: 1 }), default: 30 },
+  TELEGRAM_BOT_TOKEN: { parse: String, required: isProductionEnv },
+  TELEGRAM_AUTH_MAX_AGE_SECONDS: { parse: parseInteger({ min: 1 }), default: 86400 },
+  WALLET_CHALLENGE_TTL_MINUTES: { parse: parseInteger({ min: 1 }), default: 10 },
+  MAX_WALLETS_PER_USER: { parse: parseInteger({ min: 1 }), default: 10 },
+  PROFILE_CHANGE_COOLDOWN_HOURS: { parse: parseInteger({ min: 0 }), default: 168 },
+
+  // Temporary token storage
+  TOKEN_STORE: { parse: parseEnum(STORE_BACKENDS), default: (values) => (isProductionEnv(values) ? 'postgres' : 'memory') },
+  TOKEN_STORE_CLEANUP_INTERVAL_MS: { parse: parseInteger({ min: 1000 }), default: 300000 },
+
+  // Admins
+  ADMIN_USERNAME: { parse: String },
+  ADMIN_PASSWORD: { parse: String },
+  ADMIN_SESSION_TTL_HOURS: { parse: parseInteger({ min: 1 }), default: 12 },
+
+  // CORS
+  CORS_ORIGINS: { parse: parseOrigins },
+  // Older single-origin name, still honored when CORS_ORIGINS is unset
+  CORS_ORIGIN: { parse: parseOrigins },
+  CORS_ADMIN_ORIGINS: { parse: parseOrigins },
+
+  // Rate limits (defaults per policy live in config/rateLimits.js)
+  RATE_LIMIT_STORE: { parse: parseEnum(STORE_BACKENDS), default: (values) => (isProductionEnv(values) ? 'postgres' : 'memory') },
+  ...rateLimitSettings('GENERAL'),
+  ...rateLimitSettings('AUTH'),
+  ...rateLimitSettings('REGISTER'),
+  ...rateLimitSettings('ADMIN'),
+
+  // Scoring
+  ...scoringSettings('TWITTER'),
+  ...scoringSettings('TELEGRAM'),
+  ...scoringSettings('TRADING'),
+
+  // Registration risk scoring (rules in config/risk.js)
+  RISK_FLAG_THRESHOLD: { parse: parseInteger(), default: 30 },
+  RISK_REVIEW_THRESHOLD: { parse: parseInteger(), default: 50 },
+  RISK_REJECT_THRESHOLD: { parse: parseInteger(), default: 90 },
+  RISK_MIN_ACCOUNT_AGE_DAYS: { parse: parseInteger({ min: 0 }), default: 30 },
+  RISK_POINTS_NEW_ACCOUNT: { parse: parseInteger(), default: 30 },
+  RISK_MIN_FOLLOWERS: { parse: parseInteger({ min: 0 }), default: 10 },
+  RISK_POINTS_FEW_FOLLOWERS: { parse: parseInteger(), default: 20 },
+  RISK_MAX_FOLLOWING_RATIO: { parse: parseNonNegativeNumber, default: 20 },
+  RISK_POINTS_FOLLOW_RATIO: { parse: parseInteger(), default: 10 },
+  RISK_MIN_TWEETS: { parse: parseInteger({ min: 0 }), default: 5 },
+  RISK_POINTS_FEW_TWEETS: { parse: parseInteger(), default: 15 },
+  RISK_POINTS_DEFAULT_PROFILE_IMAGE: { parse: parseInteger(), default: 15 },
+  RISK_POINTS_VERIFIED: { parse: parseInteger(), default: -30 },
+  RISK_IP_WINDOW_MINUTES: { parse: parseInteger({ min: 1 }), default: 60 },
+  RISK_IP_MAX_REGISTRATIONS: { parse: parseInteger({ min: 1 }), default: 3 },
+  RISK_POINTS_IP_VELOCITY: { parse: parseInteger(), default: 40 },
+
+  // Operations
+  HEALTH_CHECK_TIMEOUT_MS: { parse: parseInteger({ min: 1 }), default: 2000 },
+  SHUTDOWN_TIMEOUT_MS: { parse: parseInteger({ min: 0 }), default: 10000 },
+  METRICS_TOKEN: { parse: String }
+};
+
+// Returns { values, problems }; never throws
+const parseEnv = (source) => {
+  const values = {};
+  const problems = [];
+
+  for (const [name, setting] of Object.entries(SCHEMA)) {
+    const raw = typeof source[name] === 'string' ? source[name].trim() : '';
+    const required = typeof setting.required === 'function' ? setting.required(values) : Boolean(setting.required);
+
+    if (raw === '') {
+      if (required) {
+        problems.push(`${name} is required${setting.required === true ? '' : ' in production'}`);
+      }
+      values[name] = typeof setting.default === 'function' ? setting.default(values) : setting.default ?? null;
+      continue;
+    }
+
+    try {
+      values[name] = setting.parse(raw);
+    } catch (error) {
+      problems.push(`${name} ${error.message}`);
+      values[name] = null;
+    }
+  }
+
+  // Rules spanning several settings
+  if (values.NODE_ENV === 'production') {
+    if (values.TWITTER_AUTH_FLOW === 'sandbox') {
+      problems.push('TWITTER_AUTH_FLOW=sandbox is not allowed in production');
+    }
+    if (values.SESSION_SECRET && values.SESSION_SECRET.length < 32) {
+      problems.push('SESSION_SECRET must be at least 32 characters in production');
+    }
+  }
+  if (values.DATABASE_SSL_CA && values.DATABASE_SSL !== 'verify') {
+    problems.push('DATABASE_SSL_CA is only used with DATABASE_SSL=verify');
+  }
+  const riskThresholds = [values.RISK_FLAG_THRESHOLD, values.RISK_REVIEW_THRESHOLD, values.RISK_REJECT_THRESHOLD];
+  if (!riskThresholds.includes(null) && !(riskThresholds[0] <= riskThresholds[1] && riskThresholds[1] <= riskThresholds[2])) {
+    problems.push('RISK_FLAG_THRESHOLD, RISK_REVIEW_THRESHOLD and RISK_REJECT_THRESHOLD must be in ascending order');
+  }
+  if (Boolean(values.ADMIN_USERNAME) !== Boolean(values.ADMIN_PASSWORD)) {
+    problems.push('ADMIN_USERNAME and ADMIN_PASSWORD must be set together');
+  }
+
+  return { values, problems };
+};
+
+const { values, problems } = parseEnv(process.env);
+
+if (problems.length > 0) {
+  logger.error('❌ Invalid configuration, refusing to start', { env_file: ENV_FILE, problems });
+  process.exit(1);
+}
+
+const env = Object.freeze(values);
+const isProduction = env.NODE_ENV === 'production';
+
+setLogLevel(env.LOG_LEVEL);
+logger.debug('Configuration loaded', { env_file: envFileLoaded ? ENV_FILE : null, node_env: env.NODE_ENV });
+
+export {
+  env,
+  isProduction,
+  parseEnv,
+  ORIGIN_PATTERN,
+  TWITTER_AUTH_FLOWS,
+  RATE_LIMIT_KEY_TYPES
+};
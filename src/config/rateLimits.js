@@ -0,0 +1,56 @@
+import { env, RATE_LIMIT_KEY_TYPES } from './env.js';
+
+// Rate limit policies. Each one can be tuned through the environment:
+//   <NAME>_RATE_LIMIT                 - requests allowed per window
+//   <NAME>_RATE_LIMIT_WINDOW_MINUTES  - window length
+//   <NAME>_RATE_LIMIT_KEY             - what a client is counted by: ip, wallet or twitter_id
+// e.g. REGISTER_RATE_LIMIT=10, REGISTER_RATE_LIMIT_KEY=twitter_id. `wallet` is the primary
+// wallet of the user in the Twitter session (middleware/rateLimit.js). Requests without a
+// Twitter session, or whose user has no wallet, are counted by IP instead.
+
+const RATE_LIMIT_DEFAULTS = {
+  general: {
+    max: 100,
+    windowMinutes: 15,
+    keyBy: 'ip',
+    message: 'Too many requests, please try again later.'
+  },
+  auth: {
+    max: 5,
+    windowMinutes: 15,
+    keyBy: 'ip',
+    message: 'Too many authentication attempts, please try again later.'
+  },
+  register: {
+    max: 10,
+    windowMinutes: 15,
+    keyBy: 'twitter_id',
+    message: 'Too many registration attempts, please try again later.'
+  },
+  admin: {
+    max: 60,
+    windowMinutes: 15,
+    keyBy: 'ip',
+    message: 'Too many admin requests, please try again later.'
+  }
+};
+
+const getRateLimitPolicy = (name) => {
+  const defaults = RATE_LIMIT_DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit policy "${name}"`);
+  }
+
+  const envPrefix = `${name.toUpperCase()}_RATE_LIMIT`;
+  return {
+    name,
+    max: env[envPrefix] ?? defaults.max,
+    windowMs: (env[`${envPrefix}_WINDOW_MINUTES`] ?? defaults.windowMinutes) * 60 * 1000,
+    keyBy: env[`${envPrefix}_KEY`] ?? defaults.keyBy,
+    message: defaults.message
+  };
+};
+
+const getRateLimitPolicies = () => Object.keys(RATE_LIMIT_DEFAULTS).map(getRateLimitPolicy);
+
+export { RATE_LIMIT_KEY_TYPES, getRateLimitPolicy, getRateLimitPolicies };
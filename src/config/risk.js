@@ -0,0 +1,78 @@
+import { env } from './env.js';
+
+// Sybil and bot risk rules applied to each registration.
+//
+// Every rule that matches adds its points to the registration's risk score (points may be
+// negative, e.g. for verified accounts). Rules whose signal is unknown - an old session, or a
+// Twitter API response without the field - never match. The score then decides the outcome:
+//
+//   score >= RISK_REJECT_THRESHOLD  reject: refused with 403, nothing is stored
+//   score >= RISK_REVIEW_THRESHOLD  review: stored as pending_review until an admin decides
+//   score >= RISK_FLAG_THRESHOLD    flag:   stored active, listed in the admin review queue
+//   otherwise                       allow
+//
+// Points come from RISK_POINTS_<RULE> and the limits each rule compares against from the
+// RISK_* settings named below; see config/env.js for the defaults.
+
+const RISK_DECISIONS = ['allow', 'flag', 'review', 'reject'];
+
+// signals: { account_age_days, followers_count, following_count, tweet_count,
+//            default_profile_image, verified, ip_registrations }
+const RISK_RULES = [
+  {
+    name: 'new_account',
+    points: env.RISK_POINTS_NEW_ACCOUNT,
+    matches: ({ account_age_days }) => account_age_days !== null && account_age_days < env.RISK_MIN_ACCOUNT_AGE_DAYS
+  },
+  {
+    name: 'few_followers',
+    points: env.RISK_POINTS_FEW_FOLLOWERS,
+    matches: ({ followers_count }) => followers_count !== null && followers_count < env.RISK_MIN_FOLLOWERS
+  },
+  {
+    // Follows far more accounts than follow it back, typical of follow-for-follow farms
+    name: 'follow_ratio',
+    points: env.RISK_POINTS_FOLLOW_RATIO,
+    matches: ({ followers_count, following_count }) => followers_count !== null && following_count !== null
+      && following_count > Math.max(followers_count, 1) * env.RISK_MAX_FOLLOWING_RATIO
+  },
+  {
+    name: 'few_tweets',
+    points: env.RISK_POINTS_FEW_TWEETS,
+    matches: ({ tweet_count }) => tweet_count !== null && tweet_count < env.RISK_MIN_TWEETS
+  },
+  {
+    name: 'default_profile_image',
+    points: env.RISK_POINTS_DEFAULT_PROFILE_IMAGE,
+    matches: ({ default_profile_image }) => default_profile_image === true
+  },
+  {
+    name: 'verified',
+    points: env.RISK_POINTS_VERIFIED,
+    matches: ({ verified }) => verified === true
+  },
+  {
+    // Registrations already made from the same IP within RISK_IP_WINDOW_MINUTES
+    name: 'ip_velocity',
+    points: env.RISK_POINTS_IP_VELOCITY,
+    matches: ({ ip_registrations }) => ip_registrations !== null && ip_registrations >= env.RISK_IP_MAX_REGISTRATIONS
+  }
+];
+
+const decideRisk = (score) => {
+  if (score >= env.RISK_REJECT_THRESHOLD) return 'reject';
+  if (score >= env.RISK_REVIEW_THRESHOLD) return 'review';
+  if (score >= env.RISK_FLAG_THRESHOLD) return 'flag';
+  return 'allow';
+};
+
+// Returns { score, decision, reasons }, where reasons lists the matched rules and their points
+const evaluateRisk = (signals) => {
+  const reasons = RISK_RULES
+    .filter((rule) => rule.points !== 0 && rule.matches(signals))
+    .map((rule) => ({ rule: rule.name, points: rule.points }));
+  const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  return { score, decision: decideRisk(score), reasons };
+};
+
+export { RISK_DECISIONS, RISK_RULES, evaluateRisk };
@@ -0,0 +1,40 @@
+import { env } from './env.js';
+
+// Scoring rules that combine per-category XP into total_score.
+//
+// total_score = sum over categories of min(xp, cap) * weight
+//
+// Weights and caps come from SCORE_WEIGHT_<SOURCE> and SCORE_CAP_<SOURCE>
+// (e.g. SCORE_WEIGHT_TRADING=1.5, SCORE_CAP_TELEGRAM=5000). A missing or empty cap means uncapped.
+
+const XP_SOURCES = ['twitter', 'telegram', 'trading'];
+
+const loadScoringRules = () => Object.fromEntries(XP_SOURCES.map((source) => {
+  const key = source.toUpperCase();
+  return [source, {
+    weight: env[`SCORE_WEIGHT_${key}`],
+    cap: env[`SCORE_CAP_${key}`]
+  }];
+}));
+
+const SCORING_RULES = loadScoringRules();
+
+// breakdown: { twitter: 120, telegram: 40, trading: 0 }
+const computeTotalScore = (breakdown) => {
+  const total = XP_SOURCES.reduce((sum, source) => {
+    const { weight, cap } = SCORING_RULES[source];
+    const xp = breakdown[source] || 0;
+    return sum + (cap === null ? xp : Math.min(xp, cap)) * weight;
+  }, 0);
+  return Math.round(total * 100) / 100;
+};
+
+// SQL equivalent of computeTotalScore over an xp_events alias, for ranking in the database.
+// Weights and caps are validated numbers, so interpolating them is safe.
+const totalScoreSql = (alias = 'xp_events') => XP_SOURCES.map((source) => {
+  const { weight, cap } = SCORING_RULES[source];
+  const xp = `COALESCE(SUM(${alias}.amount) FILTER (WHERE ${alias}.source = '${source}'), 0)`;
+  return `${cap === null ? xp : `LEAST(${xp}, ${cap})`} * ${weight}`;
+}).join(' + ');
+
+export { XP_SOURCES, SCORING_RULES, computeTotalScore, totalScoreSql };
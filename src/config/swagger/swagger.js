@@ -35,12 +35,72 @@ const options = {
               type: 'string',
               description: 'Telegram username'
             },
+            telegram_user_id: {
+              type: 'string',
+              description: 'Numeric Telegram user id verified through the Login Widget'
+            },
             wallet_address: {
               type: 'string',
-              description: 'Ethereum wallet address'
+              nullable: true,
+              description: 'Primary EVM wallet address, EIP-55 checksummed'
+            },
+            wallets: {
+              type: 'array',
+              description: 'Linked wallets on every chain',
+              items: { $ref: '#/components/schemas/Wallet' }
+            },
+            referral_code: {
+              type: 'string',
+              description: 'Code other users can register with to be attributed to this user'
+            },
+            referred_by: {
+              type: 'integer',
+              description: 'Id of the user whose referral code was used at registration'
+            },
+            twitter_profile: {
+              $ref: '#/components/schemas/TwitterProfile'
             }
           },
-          required: ['twitter_id', 'telegram_username', 'wallet_address']
+          required: ['twitter_id', 'telegram_username']
+        },
+        TwitterProfile: {
+          type: 'object',
+          nullable: true,
+          description: 'Latest snapshot of the public Twitter profile, taken at login and by the scheduled refresh',
+          properties: {
+            twitter_username: { type: 'string' },
+            twitter_name: { type: 'string', nullable: true },
+            profile_image_url: { type: 'string', nullable: true },
+            description: { type: 'string', nullable: true, description: 'Bio' },
+            followers_count: { type: 'integer', nullable: true },
+            following_count: { type: 'integer', nullable: true },
+            tweet_count: { type: 'integer', nullable: true },
+            verified: { type: 'boolean', nullable: true },
+            source: { type: 'string', enum: ['login', 'registration', 'refresh'] },
+            fetched_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        Wallet: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            chain: { type: 'string', enum: ['evm', 'solana', 'bitcoin'] },
+            address: {
+              type: 'string',
+              description: 'Normalized address: EIP-55 checksummed on EVM, base58 on Solana, lowercase bech32 on Bitcoin'
+            },
+            is_primary: {
+              type: 'boolean',
+              description: 'Whether rewards on this chain go to this wallet'
+            },
+            verified_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When ownership was last proven by signature; null for wallets set by an admin'
+            },
+            created_at: { type: 'string', format: 'date-time' }
+          }
         },
         Score: {
           type: 'object',
@@ -1,34 +1,56 @@
 import OAuth from 'oauth-1.0a';
 import crypto from 'crypto';
+import { env, isProduction, TWITTER_AUTH_FLOWS } from './env.js';
+import { logger } from '../utils/logger.js';
 
-// These will be initialized after environment variables are loaded
-let TWITTER_API_KEY;
-let TWITTER_API_SECRET;
+const TWITTER_API_KEY = env.TWITTER_API_KEY;
+const TWITTER_API_SECRET = env.TWITTER_API_SECRET;
 let oauth = null;
 
-const TWITTER_REQUEST_TOKEN_URL = "https://api.twitter.com/oauth/request_token";
-const TWITTER_AUTHORIZE_URL = "https://api.twitter.com/oauth/authorize";
-const TWITTER_ACCESS_TOKEN_URL = "https://api.twitter.com/oauth/access_token";
-const TWITTER_USER_INFO_URL = "https://api.twitter.com/1.1/account/verify_credentials.json";
+// TWITTER_AUTH_FLOW picks which flow /auth/twitter uses. `sandbox` logs in local fake
+// identities without contacting Twitter and is refused in production (see config/env.js).
+const TWITTER_AUTH_FLOW = env.TWITTER_AUTH_FLOW;
 
-// Function to initialize Twitter configuration after env vars are loaded
+// OAuth 2.0 (Authorization Code + PKCE) settings
+const TWITTER_CLIENT_ID = env.TWITTER_CLIENT_ID;
+const TWITTER_CLIENT_SECRET = env.TWITTER_CLIENT_SECRET;
+const TWITTER_OAUTH2_SCOPES = env.TWITTER_OAUTH2_SCOPES;
+
+// Endpoint URLs, each overridable by the environment variable of the same name
+// (e.g. to point at a mock server in integration tests)
+const TWITTER_REQUEST_TOKEN_URL = env.TWITTER_REQUEST_TOKEN_URL;
+const TWITTER_AUTHORIZE_URL = env.TWITTER_AUTHORIZE_URL;
+const TWITTER_ACCESS_TOKEN_URL = env.TWITTER_ACCESS_TOKEN_URL;
+const TWITTER_USER_INFO_URL = env.TWITTER_USER_INFO_URL;
+const TWITTER_OAUTH2_AUTHORIZE_URL = env.TWITTER_OAUTH2_AUTHORIZE_URL;
+const TWITTER_OAUTH2_TOKEN_URL = env.TWITTER_OAUTH2_TOKEN_URL;
+const TWITTER_OAUTH2_USER_INFO_URL = env.TWITTER_OAUTH2_USER_INFO_URL;
+
+// Logs the selected flow and builds the OAuth 1.0a signer. Returns whether the
+// selected flow has the credentials it needs.
 function initializeTwitterConfig() {
-  TWITTER_API_KEY = process.env.TWITTER_API_KEY;
-  TWITTER_API_SECRET = process.env.TWITTER_API_SECRET;
-  
-  console.log('Initializing Twitter config...');
-  console.log('TWITTER_API_KEY:', TWITTER_API_KEY ? 'FOUND' : 'NOT FOUND');
-  console.log('TWITTER_API_SECRET:', TWITTER_API_SECRET ? 'FOUND' : 'NOT FOUND');
-  
-  // In production, log available environment variables for debugging
-  if (process.env.NODE_ENV === 'production') {
-    console.log('Available environment variables:', Object.keys(process.env).filter(key => 
-      key.includes('TWITTER') || key.includes('API')
-    ));
+  logger.info('Initializing Twitter config', {
+    flow: TWITTER_AUTH_FLOW,
+    oauth1_consumer_configured: Boolean(TWITTER_API_KEY && TWITTER_API_SECRET),
+    oauth2_client_configured: Boolean(TWITTER_CLIENT_ID)
+  });
+
+  if (TWITTER_AUTH_FLOW === 'sandbox') {
+    logger.warn('⚠️  Twitter sandbox login enabled: anyone can sign in as any handle. Never use this in production.');
+    return true;
+  }
+
+  if (TWITTER_AUTH_FLOW === 'oauth2') {
+    if (!TWITTER_CLIENT_ID) {
+      logger.warn('❌ TWITTER_CLIENT_ID not found. OAuth 2.0 login will not work.');
+      return false;
+    }
+    logger.info('✅ Twitter OAuth 2.0 configured', { scopes: TWITTER_OAUTH2_SCOPES });
+    return true;
   }
 
   if (!TWITTER_API_KEY || !TWITTER_API_SECRET) {
-    console.warn('❌ Warning: Twitter API credentials not found. OAuth will not work.');
+    logger.warn('❌ Twitter API credentials not found. OAuth will not work.');
     return false;
   }
 
@@ -47,17 +69,47 @@ function initializeTwitterConfig() {
     }
   });
   
-  console.log('✅ Twitter OAuth configured successfully');
+  logger.info('✅ Twitter OAuth configured successfully');
   return true;
 }
 
-const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const FRONTEND_URL = env.FRONTEND_URL;
+
+// Public base URL of this backend, without a trailing slash or path
+function getBackendBaseUrl() {
+  // BACKEND_URL is required in production; development always uses the local server
+  let baseUrl = isProduction ? env.BACKEND_URL : `http://localhost:${env.PORT}`;
+
+  // Clean the base URL to avoid duplicates
+  baseUrl = baseUrl.replace(/\/+$/, ''); // Remove trailing slashes
+  if (baseUrl.includes('/api')) {
+    // If BACKEND_URL accidentally includes path, extract just the domain
+    baseUrl = baseUrl.split('/api')[0];
+  }
+
+  return baseUrl;
+}
+
+// Callback URL registered with Twitter; every flow shares it
+function getTwitterCallbackUrl() {
+  return `${getBackendBaseUrl()}/api/auth/twitter/callback`;
+}
 
 export {
   initializeTwitterConfig,
+  getBackendBaseUrl,
+  getTwitterCallbackUrl,
   oauth,
   TWITTER_API_KEY,
   TWITTER_API_SECRET,
+  TWITTER_AUTH_FLOWS,
+  TWITTER_AUTH_FLOW,
+  TWITTER_CLIENT_ID,
+  TWITTER_CLIENT_SECRET,
+  TWITTER_OAUTH2_SCOPES,
+  TWITTER_OAUTH2_AUTHORIZE_URL,
+  TWITTER_OAUTH2_TOKEN_URL,
+  TWITTER_OAUTH2_USER_INFO_URL,
   TWITTER_REQUEST_TOKEN_URL,
   TWITTER_AUTHORIZE_URL,
   TWITTER_ACCESS_TOKEN_URL,
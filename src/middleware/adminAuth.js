@@ -0,0 +1,47 @@
+import { findAdminSession, hasRole } from '../services/adminAuth.js';
+import { logger } from '../utils/logger.js';
+
+// Guards admin routes. Expects `Authorization: Bearer <token>` from POST /api/admin/login
+// and only lets through admins whose role is at least `role` (viewer < operator < superadmin).
+const requireAdmin = (role = 'viewer') => async (req, res, next) => {
+  const authorization = req.headers.authorization || '';
+  if (!authorization.startsWith('Bearer ')) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Admin bearer token required'
+    });
+  }
+
+  try {
+    const session = await findAdminSession(authorization.slice('Bearer '.length).trim());
+    if (!session) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Admin session is invalid, expired or revoked'
+      });
+    }
+
+    if (!hasRole(session.admin, role)) {
+      logger.warn('Admin access denied', {
+        admin: session.admin.username,
+        role: session.admin.role,
+        required_role: role,
+        method: req.method,
+        path: req.path
+      });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires the ${role} role`
+      });
+    }
+
+    req.admin = session.admin;
+    req.adminSessionId = session.session_id;
+    next();
+  } catch (error) {
+    logger.error('Admin authentication failed', { error });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export { requireAdmin };
@@ -0,0 +1,73 @@
+import { CORS_POLICIES, CORS_PREFLIGHT_MAX_AGE_SECONDS } from '../config/cors.js';
+
+// Applies one of the CORS_POLICIES. Mount the specific policies before the catch-all one:
+// the first policy that sees a request handles it and the rest pass it through.
+//
+// Requests from origins a policy does not allow get no CORS headers, so browsers keep the
+// response from the calling page. Preflights for disallowed origins, methods or headers are
+// answered with 403 and never reach the routes.
+
+const corsPolicy = (name) => {
+  const policy = CORS_POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown CORS policy "${name}"`);
+  }
+
+  const allowedHeaders = new Set(policy.allowedHeaders.map((header) => header.toLowerCase()));
+
+  return (req, res, next) => {
+    if (res.locals.corsPolicy) {
+      return next();
+    }
+    res.locals.corsPolicy = name;
+    res.vary('Origin');
+
+    const origin = req.get('origin');
+    if (!origin) {
+      return next();
+    }
+
+    const isPreflight = req.method === 'OPTIONS' && req.get('access-control-request-method');
+    const allowed = origin !== 'null' && policy.isAllowed(origin);
+
+    if (!allowed) {
+      return isPreflight
+        ? res.status(403).json({ error: 'Origin not allowed' })
+        : next();
+    }
+
+    if (isPreflight) {
+      const requestedMethod = req.get('access-control-request-method').toUpperCase();
+      if (!policy.methods.includes(requestedMethod)) {
+        return res.status(403).json({ error: `Method ${requestedMethod} not allowed` });
+      }
+
+      const requestedHeaders = (req.get('access-control-request-headers') || '')
+        .split(',')
+        .map((header) => header.trim().toLowerCase())
+        .filter(Boolean);
+      const rejectedHeaders = requestedHeaders.filter((header) => !allowedHeaders.has(header));
+      if (rejectedHeaders.length > 0) {
+        return res.status(403).json({ error: `Headers not allowed: ${rejectedHeaders.join(', ')}` });
+      }
+    }
+
+    const withCredentials = policy.credentials(origin);
+    res.setHeader('Access-Control-Allow-Origin', withCredentials ? origin : '*');
+    if (withCredentials) {
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+    res.setHeader('Access-Control-Expose-Headers', policy.exposedHeaders.join(', '));
+
+    if (!isPreflight) {
+      return next();
+    }
+
+    res.setHeader('Access-Control-Allow-Methods', policy.methods.join(', '));
+    res.setHeader('Access-Control-Allow-Headers', policy.allowedHeaders.join(', '));
+    res.setHeader('Access-Control-Max-Age', String(CORS_PREFLIGHT_MAX_AGE_SECONDS));
+    res.status(204).end();
+  };
+};
+
+export { corsPolicy };
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+import { recordHttpRequest } from '../services/metrics.js';
+
+// Counts every request and its latency once the response is sent
+const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    let route = 'unmatched';
+    if (req.route) {
+      // A route registered for several paths is labelled with the one that matched
+      route = Array.isArray(req.route.path) ? `${req.baseUrl}${req.path}` : `${req.baseUrl}${req.route.path}`;
+    }
+    recordHttpRequest({
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9
+    });
+  });
+  next();
+};
+
+// True when METRICS_TOKEN is set and the request sends it as a bearer token
+const hasMetricsToken = (req) => {
+  const expected = env.METRICS_TOKEN;
+  if (!expected) {
+    return false;
+  }
+
+  const authorization = req.get('authorization') || '';
+  const provided = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : '';
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  return Boolean(provided) && crypto.timingSafeEqual(expectedHash, providedHash);
+};
+
+// /metrics is only served when METRICS_TOKEN is set, to scrapers sending it as a bearer token
+const requireMetricsToken = (req, res, next) => {
+  if (!env.METRICS_TOKEN) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (!hasMetricsToken(req)) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  next();
+};
+
+export { httpMetrics, hasMetricsToken, requireMetricsToken };
@@ -0,0 +1,87 @@
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
+import { pool } from '../config/database.js';
+import { getRateLimitPolicy } from '../config/rateLimits.js';
+import { createRateLimitStore, isAllowlisted } from '../services/rateLimits.js';
+import { readTwitterSession } from './twitterSession.js';
+import { logger } from '../utils/logger.js';
+
+// Builds the limiter for one of the policies in config/rateLimits.js. Each policy counts
+// separately; clients on the admin allowlist skip every policy.
+
+// Wallets linked to the user in the Twitter session, the one clients are counted by (the
+// primary EVM wallet, else another primary wallet) first
+const sessionWallets = async (twitterId) => {
+  try {
+    const result = await pool.query(
+      `SELECT w.address FROM user_wallets w
+       JOIN user_profiles u ON u.id = w.user_id
+       WHERE u.twitter_id = $1
+       ORDER BY w.is_primary DESC, w.chain = 'evm' DESC, w.created_at, w.id`,
+      [twitterId]
+    );
+    return result.rows.map((row) => row.address.toLowerCase());
+  } catch (error) {
+    logger.warn('Could not read wallets for rate limiting', { error });
+    return [];
+  }
+};
+
+// Everything a client can be counted or allowlisted by. Only verified identifiers are used:
+// the IP, the signed Twitter session and the wallets linked to that session's user - never
+// anything from the request body, which is not parsed yet and which anyone can fill in.
+// The wallets cost a database read, so `wallets()` looks them up on first use only: for a
+// wallet-keyed policy or when the allowlist holds wallet keys.
+// Cached on the request because the general limiter and a route limiter both look at it.
+const requestIdentifiers = (req) => {
+  if (!req.rateLimitIdentifiers) {
+    let session = null;
+    try {
+      session = readTwitterSession(req);
+    } catch (error) {
+      logger.warn('Could not read Twitter session for rate limiting', { error });
+    }
+
+    let wallets = null;
+    req.rateLimitIdentifiers = {
+      ip: req.ip,
+      twitter_id: session ? session.twitter_id : null,
+      wallets: () => {
+        if (!wallets) {
+          wallets = session ? sessionWallets(session.twitter_id) : Promise.resolve([]);
+        }
+        return wallets;
+      }
+    };
+  }
+  return req.rateLimitIdentifiers;
+};
+
+const rateLimitPolicy = (name) => {
+  const policy = getRateLimitPolicy(name);
+
+  return rateLimit({
+    windowMs: policy.windowMs,
+    limit: policy.max,
+    message: { error: policy.message },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createRateLimitStore(policy.name),
+    keyGenerator: async (req) => {
+      const identifiers = requestIdentifiers(req);
+      const value = policy.keyBy === 'wallet' ? (await identifiers.wallets())[0] : identifiers[policy.keyBy];
+      if (value && policy.keyBy !== 'ip') {
+        return `${policy.keyBy}:${value}`;
+      }
+      return `ip:${ipKeyGenerator(req.ip)}`;
+    },
+    skip: (req) => isAllowlisted(requestIdentifiers(req)),
+    // A database outage should not take the whole API down with it
+    passOnStoreError: true,
+    handler: (req, res, next, options) => {
+      logger.warn('Rate limit exceeded', { policy: policy.name, key_type: policy.keyBy, path: req.path });
+      res.status(options.statusCode).json(options.message);
+    }
+  });
+};
+
+export { rateLimitPolicy, requestIdentifiers };
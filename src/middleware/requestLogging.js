@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+import { logger, runWithRequestContext } from '../utils/logger.js';
+
+// Gives every request an ID, echoed back as X-Request-Id, and logs one line when it completes.
+// A well-formed X-Request-Id from the client or a proxy is kept so logs can be correlated
+// across services; anything else is replaced.
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestLogging = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    // Only the path is logged: query strings can carry OAuth codes and session tokens
+    runWithRequestContext(requestId, () => logger[level]('request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status,
+      duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      ip: req.ip,
+      origin: req.get('origin'),
+      user_agent: req.get('user-agent')
+    }));
+  });
+
+  runWithRequestContext(requestId, next);
+};
+
+export { REQUEST_ID_HEADER, requestLogging };
@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import { env, isProduction } from '../config/env.js';
+import { signToken, verifyToken } from '../utils/signedToken.js';
+import { isAppOrigin } from '../config/cors.js';
+import { getTokenStore } from '../services/tokenStore.js';
+import { logger } from '../utils/logger.js';
+
+// Signed session proving which Twitter account completed the OAuth callback.
+// /register and other user-facing writes must take the Twitter identity from here,
+// never from the request body.
+//
+// In production the cookie is SameSite=None because the frontend lives on another site, so
+// browsers send it with requests any site makes. Writes authenticated by the cookie are
+// therefore only accepted from an Origin on the CORS app allowlist (requireAppOrigin, which
+// requireTwitterSession applies too); a session sent as an `Authorization: Bearer` header
+// can't be attached by another site and needs no check.
+
+const TWITTER_SESSION_COOKIE = 'madcat_twitter_session';
+const TWITTER_SESSION_TTL_SECONDS = env.TWITTER_SESSION_TTL_MINUTES * 60;
+
+// The callback redirect carries a one-time login code instead of the session token, so the
+// token never lands in browser history, referrers or proxy logs. The frontend exchanges the
+// code for the token (POST /api/auth/twitter/session) when it can't rely on the cookie.
+const LOGIN_CODE_TTL_MS = 5 * 60 * 1000;
+const loginCodes = getTokenStore('twitter_login_code');
+
+let sessionSecret = null;
+
+const getSessionSecret = () => {
+  if (sessionSecret) {
+    return sessionSecret;
+  }
+
+  // config/env.js refuses to start in production without one
+  if (env.SESSION_SECRET) {
+    sessionSecret = env.SESSION_SECRET;
+  } else {
+    // Sessions will not survive a restart, which is acceptable for local development
+    logger.warn('⚠️ SESSION_SECRET not set - using a random per-process secret');
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  return sessionSecret;
+};
+
+const parseCookies = (header) => {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+};
+
+// Creates the signed token and sets it as an HttpOnly cookie. The token is returned as well
+// so it can be handed, through a login code, to browsers that block third-party cookies.
+const issueTwitterSession = (res, identity) => {
+  const token = signToken({
+    typ: 'twitter_session',
+    twitter_id: identity.twitter_id,
+    twitter_username: identity.twitter_username,
+    twitter_name: identity.twitter_name,
+    // Account signals for registration risk scoring, taken from the same verified login
+    account: identity.account || null
+  }, getSessionSecret(), TWITTER_SESSION_TTL_SECONDS);
+
+  res.cookie(TWITTER_SESSION_COOKIE, token, {
+    httpOnly: true,
+    // The frontend lives on another site in production, so the cookie must be cross-site
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    maxAge: TWITTER_SESSION_TTL_SECONDS * 1000,
+    path: '/api'
+  });
+
+  return token;
+};
+
+// Resolves to a single-use code the frontend can exchange for the session token
+const createLoginCode = async (sessionToken) => {
+  const code = crypto.randomBytes(24).toString('base64url');
+  await loginCodes.set(code, { session_token: sessionToken }, LOGIN_CODE_TTL_MS);
+  return code;
+};
+
+// Resolves to the session token the code was issued for, or null when it is unknown,
+// expired or already used
+const redeemLoginCode = async (code) => {
+  if (typeof code !== 'string' || code === '') {
+    return null;
+  }
+  const stored = await loginCodes.take(code);
+  return stored ? stored.session_token : null;
+};
+
+const clearTwitterSession = (res) => {
+  res.clearCookie(TWITTER_SESSION_COOKIE, {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    path: '/api'
+  });
+};
+
+// The session token and where it came from: the cookie, else an `Authorization: Bearer` header
+const findSessionToken = (req) => {
+  const cookies = parseCookies(req.headers.cookie);
+  if (cookies[TWITTER_SESSION_COOKIE]) {
+    return { token: cookies[TWITTER_SESSION_COOKIE], source: 'cookie' };
+  }
+
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return { token: authorization.slice('Bearer '.length).trim(), source: 'bearer' };
+  }
+  return { token: null, source: null };
+};
+
+// Returns the session a token carries, or null when it is invalid or expired
+const readSessionToken = (token) => {
+  const payload = verifyToken(token, getSessionSecret());
+  if (!payload || payload.typ !== 'twitter_session' || !payload.twitter_id) {
+    return null;
+  }
+
+  return {
+    twitter_id: payload.twitter_id,
+    twitter_username: payload.twitter_username,
+    twitter_name: payload.twitter_name,
+    account: payload.account || null,
+    expires_at: new Date(payload.exp * 1000).toISOString()
+  };
+};
+
+// Reads the session from the cookie, falling back to an `Authorization: Bearer` header
+const readTwitterSession = (req) => readSessionToken(findSessionToken(req).token);
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Origin of the page that sent the request, from Origin or, failing that, Referer
+const requestOrigin = (req) => {
+  const origin = req.get('origin');
+  if (origin && origin !== 'null') {
+    return origin;
+  }
+  try {
+    return new URL(req.get('referer')).origin;
+  } catch {
+    return null;
+  }
+};
+
+// Sends the 403 and resolves to true for a write carrying the session cookie from a page
+// outside the app
+const refuseCrossSiteCookie = (req, res) => {
+  if (SAFE_METHODS.includes(req.method) || findSessionToken(req).source !== 'cookie') {
+    return false;
+  }
+  const origin = requestOrigin(req);
+  if (origin && isAppOrigin(origin)) {
+    return false;
+  }
+  logger.warn('Refused cross-site request with the Twitter session cookie', { origin, path: req.path });
+  res.status(403).json({
+    error: 'Cross-site request refused',
+    message: 'Requests using the session cookie must come from the app'
+  });
+  return true;
+};
+
+// For cookie-authenticated writes that don't need a valid session, such as signing out
+const requireAppOrigin = (req, res, next) => {
+  if (refuseCrossSiteCookie(req, res)) {
+    return;
+  }
+  next();
+};
+
+const requireTwitterSession = (req, res, next) => {
+  const session = readTwitterSession(req);
+  if (!session) {
+    return res.status(401).json({
+      error: 'Twitter authentication required',
+      message: 'Sign in with Twitter before continuing'
+    });
+  }
+
+  if (refuseCrossSiteCookie(req, res)) {
+    return;
+  }
+
+  req.twitterSession = session;
+  next();
+};
+
+export {
+  TWITTER_SESSION_COOKIE,
+  TWITTER_SESSION_TTL_SECONDS,
+  issueTwitterSession,
+  createLoginCode,
+  redeemLoginCode,
+  clearTwitterSession,
+  readTwitterSession,
+  readSessionToken,
+  requireAppOrigin,
+  requireTwitterSession
+};
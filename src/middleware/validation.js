@@ -0,0 +1,77 @@
+import { body } from 'express-validator';
+import { WALLET_CHAINS, normalizeWalletAddress } from '../utils/walletAddress.js';
+
+// Validation chains shared by every endpoint that accepts a Telegram login or a wallet proof
+
+const validateTelegramAuth = [
+  body('telegram_auth')
+    .isObject()
+    .withMessage('Telegram login data is required'),
+
+  body('telegram_auth.id')
+    .isInt({ min: 1 })
+    .withMessage('Telegram user id must be a positive integer'),
+
+  body('telegram_auth.username')
+    .notEmpty()
+    .withMessage('Telegram username is required')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Telegram username must be between 1 and 50 characters'),
+
+  body('telegram_auth.auth_date')
+    .isInt({ min: 1 })
+    .withMessage('Telegram auth_date must be a unix timestamp'),
+
+  body('telegram_auth.hash')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Telegram hash must be a 64-character hex string')
+];
+
+// How each chain's wallets encode a message signature (see services/walletAuth.js)
+const WALLET_SIGNATURE_FORMATS = {
+  evm: { pattern: /^0x[a-fA-F0-9]{130}$/, description: 'a 65-byte hex string' },
+  solana: { pattern: /^[1-9A-HJ-NP-Za-km-z]{64,90}$/, description: 'a base58 string' },
+  bitcoin: { pattern: /^[A-Za-z0-9+/]{87}=$/, description: 'a 65-byte base64 string' }
+};
+
+// wallet_chain defaults to evm, the only chain supported before multi-chain wallets
+const walletChainOf = (req) => req.body.wallet_chain || 'evm';
+
+const validateWalletAddress = [
+  body('wallet_chain')
+    .optional()
+    .isIn(WALLET_CHAINS)
+    .withMessage(`wallet_chain must be one of: ${WALLET_CHAINS.join(', ')}`),
+
+  body('wallet_address')
+    .notEmpty()
+    .withMessage('Wallet address is required')
+    .bail()
+    .custom((value, { req }) => normalizeWalletAddress(walletChainOf(req), value) !== null)
+    .withMessage((value, { req }) => `Invalid ${walletChainOf(req)} wallet address`)
+];
+
+const validateWalletProof = [
+  ...validateWalletAddress,
+
+  body('wallet_nonce')
+    .notEmpty()
+    .withMessage('Wallet challenge nonce is required')
+    .isHexadecimal()
+    .withMessage('Invalid wallet challenge nonce'),
+
+  body('wallet_signature')
+    .notEmpty()
+    .withMessage('Wallet signature is required')
+    .bail()
+    .custom((value, { req }) => {
+      const format = WALLET_SIGNATURE_FORMATS[walletChainOf(req)];
+      if (format && !format.pattern.test(value)) {
+        throw new Error(`Wallet signature must be ${format.description}`);
+      }
+      return true;
+    })
+];
+
+export { validateTelegramAuth, validateWalletAddress, validateWalletProof };
@@ -0,0 +1,57 @@
+// Early deployments stored the Telegram handle in user_profiles.telegram_id.
+// Rename the column (and its constraint and index) to telegram_username.
+// Fresh databases never had telegram_id, so every step is conditional.
+
+const up = async (client) => {
+  await client.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_profiles' AND column_name = 'telegram_id'
+      ) AND NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_profiles' AND column_name = 'telegram_username'
+      ) THEN
+        ALTER TABLE user_profiles RENAME COLUMN telegram_id TO telegram_username;
+      END IF;
+
+      IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'uq_user_profiles_telegram_id') THEN
+        ALTER TABLE user_profiles RENAME CONSTRAINT uq_user_profiles_telegram_id TO uq_user_profiles_telegram_username;
+      END IF;
+
+      IF EXISTS (SELECT 1 FROM pg_class WHERE relname = 'idx_user_profiles_telegram_id' AND relkind = 'i') THEN
+        ALTER INDEX idx_user_profiles_telegram_id RENAME TO idx_user_profiles_telegram_username;
+      END IF;
+    END
+    $$;
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_profiles' AND column_name = 'telegram_username'
+      ) AND NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_profiles' AND column_name = 'telegram_id'
+      ) THEN
+        ALTER TABLE user_profiles RENAME COLUMN telegram_username TO telegram_id;
+      END IF;
+
+      IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'uq_user_profiles_telegram_username') THEN
+        ALTER TABLE user_profiles RENAME CONSTRAINT uq_user_profiles_telegram_username TO uq_user_profiles_telegram_id;
+      END IF;
+
+      IF EXISTS (SELECT 1 FROM pg_class WHERE relname = 'idx_user_profiles_telegram_username' AND relkind = 'i') THEN
+        ALTER INDEX idx_user_profiles_telegram_username RENAME TO idx_user_profiles_telegram_id;
+      END IF;
+    END
+    $$;
+  `);
+};
+
+export { up, down };
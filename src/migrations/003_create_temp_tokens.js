@@ -0,0 +1,22 @@
+// Expiring key/value storage behind services/tokenStore.js (OAuth request tokens, wallet nonces)
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS temp_tokens (
+      namespace VARCHAR(50) NOT NULL,
+      token_key VARCHAR(255) NOT NULL,
+      value JSONB NOT NULL,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (namespace, token_key)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_temp_tokens_expires_at ON temp_tokens(expires_at);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS temp_tokens;');
+};
+
+export { up, down };
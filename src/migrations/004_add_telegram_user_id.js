@@ -0,0 +1,17 @@
+// Verified numeric Telegram user id from the Login Widget, stored next to the username
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS telegram_user_id BIGINT;
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_user_profiles_telegram_user_id ON user_profiles(telegram_user_id);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS uq_user_profiles_telegram_user_id;
+    ALTER TABLE user_profiles DROP COLUMN IF EXISTS telegram_user_id;
+  `);
+};
+
+export { up, down };
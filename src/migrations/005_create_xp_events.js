@@ -0,0 +1,43 @@
+// Append-only XP ledger; scores are always derived from it
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS xp_events (
+      id BIGSERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+      wallet_address VARCHAR(42) NOT NULL,
+      source VARCHAR(20) NOT NULL CHECK (source IN ('twitter', 'telegram', 'trading')),
+      amount INTEGER NOT NULL CHECK (amount <> 0),
+      reason VARCHAR(255) NOT NULL,
+      idempotency_key VARCHAR(255) NOT NULL,
+      metadata JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uq_xp_events_idempotency_key UNIQUE (idempotency_key)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_xp_events_user_created ON xp_events(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_xp_events_source_created ON xp_events(source, created_at);
+
+    CREATE OR REPLACE FUNCTION prevent_xp_event_update()
+    RETURNS TRIGGER AS $$
+    BEGIN
+        RAISE EXCEPTION 'xp_events is append-only; record a correcting event instead';
+    END;
+    $$ language 'plpgsql';
+
+    DROP TRIGGER IF EXISTS prevent_xp_events_update ON xp_events;
+    CREATE TRIGGER prevent_xp_events_update
+        BEFORE UPDATE ON xp_events
+        FOR EACH ROW
+        EXECUTE FUNCTION prevent_xp_event_update();
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS xp_events;
+    DROP FUNCTION IF EXISTS prevent_xp_event_update();
+  `);
+};
+
+export { up, down };
@@ -0,0 +1,46 @@
+// Individual admin accounts with hashed passwords, roles and revocable bearer sessions
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admins (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) NOT NULL,
+      password_hash TEXT NOT NULL,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'operator', 'superadmin')),
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      last_login_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uq_admins_username UNIQUE (username)
+    );
+
+    DROP TRIGGER IF EXISTS update_admins_updated_at ON admins;
+    CREATE TRIGGER update_admins_updated_at
+        BEFORE UPDATE ON admins
+        FOR EACH ROW
+        EXECUTE FUNCTION update_updated_at_column();
+
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id SERIAL PRIMARY KEY,
+      admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+      token_hash CHAR(64) NOT NULL,
+      ip VARCHAR(64),
+      user_agent TEXT,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      revoked_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uq_admin_sessions_token_hash UNIQUE (token_hash)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin_id ON admin_sessions(admin_id);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS admin_sessions;
+    DROP TABLE IF EXISTS admins;
+  `);
+};
+
+export { up, down };
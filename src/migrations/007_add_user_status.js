@@ -0,0 +1,31 @@
+// Soft-ban support for user_profiles
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE user_profiles
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active',
+      ADD COLUMN IF NOT EXISTS ban_reason TEXT,
+      ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS banned_by INTEGER REFERENCES admins(id) ON DELETE SET NULL;
+
+    ALTER TABLE user_profiles DROP CONSTRAINT IF EXISTS chk_user_profiles_status;
+    ALTER TABLE user_profiles
+      ADD CONSTRAINT chk_user_profiles_status CHECK (status IN ('active', 'banned'));
+
+    CREATE INDEX IF NOT EXISTS idx_user_profiles_status_created ON user_profiles(status, created_at);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_user_profiles_status_created;
+    ALTER TABLE user_profiles
+      DROP CONSTRAINT IF EXISTS chk_user_profiles_status,
+      DROP COLUMN IF EXISTS banned_by,
+      DROP COLUMN IF EXISTS banned_at,
+      DROP COLUMN IF EXISTS ban_reason,
+      DROP COLUMN IF EXISTS status;
+  `);
+};
+
+export { up, down };
@@ -0,0 +1,28 @@
+// Field-level change history for user_profiles, kept after the profile is deleted
+// so past wallets can still be traced when resolving airdrop disputes
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_profile_history (
+      id BIGSERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES user_profiles(id) ON DELETE SET NULL,
+      twitter_id VARCHAR(100) NOT NULL,
+      field VARCHAR(50) NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      changed_by_type VARCHAR(20) NOT NULL CHECK (changed_by_type IN ('user', 'admin', 'system')),
+      changed_by_id INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_profile_history_user ON user_profile_history(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_user_profile_history_twitter_id ON user_profile_history(twitter_id);
+    CREATE INDEX IF NOT EXISTS idx_user_profile_history_old_value ON user_profile_history(field, LOWER(old_value));
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS user_profile_history;');
+};
+
+export { up, down };
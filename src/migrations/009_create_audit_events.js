@@ -0,0 +1,32 @@
+// Persistent trail of admin actions and registration lifecycle events
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id BIGSERIAL PRIMARY KEY,
+      actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('admin', 'user', 'system', 'anonymous')),
+      actor_id VARCHAR(100),
+      actor_label VARCHAR(255),
+      action VARCHAR(100) NOT NULL,
+      target_type VARCHAR(50),
+      target_id VARCHAR(100),
+      before JSONB,
+      after JSONB,
+      metadata JSONB NOT NULL DEFAULT '{}',
+      ip VARCHAR(64),
+      user_agent TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_type, actor_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events(target_type, target_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS audit_events;');
+};
+
+export { up, down };
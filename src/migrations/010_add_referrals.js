@@ -0,0 +1,52 @@
+// Referral codes and the referrer relationship on user_profiles
+
+const up = async (client) => {
+  await client.query(`
+    -- 8 characters from an alphabet without look-alikes (no 0/O, 1/I/L)
+    CREATE OR REPLACE FUNCTION generate_referral_code()
+    RETURNS VARCHAR AS $$
+    DECLARE
+      alphabet CONSTANT TEXT := 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+      code TEXT := '';
+    BEGIN
+      FOR i IN 1..8 LOOP
+        code := code || substr(alphabet, 1 + floor(random() * length(alphabet))::int, 1);
+      END LOOP;
+      RETURN code;
+    END;
+    $$ LANGUAGE plpgsql VOLATILE;
+
+    ALTER TABLE user_profiles
+      ADD COLUMN IF NOT EXISTS referral_code VARCHAR(16),
+      ADD COLUMN IF NOT EXISTS referred_by INTEGER REFERENCES user_profiles(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS referred_at TIMESTAMP WITH TIME ZONE;
+
+    UPDATE user_profiles SET referral_code = generate_referral_code() WHERE referral_code IS NULL;
+
+    ALTER TABLE user_profiles
+      ALTER COLUMN referral_code SET DEFAULT generate_referral_code(),
+      ALTER COLUMN referral_code SET NOT NULL;
+
+    ALTER TABLE user_profiles DROP CONSTRAINT IF EXISTS chk_user_profiles_not_self_referred;
+    ALTER TABLE user_profiles
+      ADD CONSTRAINT chk_user_profiles_not_self_referred CHECK (referred_by IS NULL OR referred_by <> id);
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_user_profiles_referral_code ON user_profiles(referral_code);
+    CREATE INDEX IF NOT EXISTS idx_user_profiles_referred_by ON user_profiles(referred_by);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_user_profiles_referred_by;
+    DROP INDEX IF EXISTS idx_user_profiles_referral_code;
+    ALTER TABLE user_profiles
+      DROP CONSTRAINT IF EXISTS chk_user_profiles_not_self_referred,
+      DROP COLUMN IF EXISTS referred_at,
+      DROP COLUMN IF EXISTS referred_by,
+      DROP COLUMN IF EXISTS referral_code;
+    DROP FUNCTION IF EXISTS generate_referral_code();
+  `);
+};
+
+export { up, down };
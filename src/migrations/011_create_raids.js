@@ -0,0 +1,57 @@
+// Raid campaigns and the proof users submit for them
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS raid_campaigns (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(200) NOT NULL,
+      description TEXT,
+      target_tweet_url TEXT NOT NULL,
+      xp_reward INTEGER NOT NULL CHECK (xp_reward > 0),
+      max_approved INTEGER CHECK (max_approved IS NULL OR max_approved > 0),
+      starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT chk_raid_campaigns_window CHECK (ends_at > starts_at)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_raid_campaigns_window ON raid_campaigns(starts_at, ends_at);
+
+    DROP TRIGGER IF EXISTS update_raid_campaigns_updated_at ON raid_campaigns;
+    CREATE TRIGGER update_raid_campaigns_updated_at
+        BEFORE UPDATE ON raid_campaigns
+        FOR EACH ROW
+        EXECUTE FUNCTION update_updated_at_column();
+
+    -- One submission per user per campaign, and a proof tweet can only be used once
+    CREATE TABLE IF NOT EXISTS raid_submissions (
+      id BIGSERIAL PRIMARY KEY,
+      campaign_id INTEGER NOT NULL REFERENCES raid_campaigns(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+      proof_url TEXT NOT NULL,
+      proof_tweet_id VARCHAR(32) NOT NULL UNIQUE,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+      review_note TEXT,
+      reviewed_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+      reviewed_at TIMESTAMP WITH TIME ZONE,
+      xp_event_id BIGINT REFERENCES xp_events(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uq_raid_submissions_campaign_user UNIQUE (campaign_id, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_raid_submissions_campaign_status ON raid_submissions(campaign_id, status, id);
+    CREATE INDEX IF NOT EXISTS idx_raid_submissions_user ON raid_submissions(user_id, created_at);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS raid_submissions;
+    DROP TABLE IF EXISTS raid_campaigns;
+  `);
+};
+
+export { up, down };
@@ -0,0 +1,34 @@
+// Shared rate limit counters (one row per policy and client key) and the admin-managed
+// allowlist of keys that bypass every limit
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rate_limit_hits (
+      key VARCHAR(255) PRIMARY KEY,
+      hits INTEGER NOT NULL DEFAULT 0,
+      reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_reset_at ON rate_limit_hits(reset_at);
+
+    CREATE TABLE IF NOT EXISTS rate_limit_allowlist (
+      id SERIAL PRIMARY KEY,
+      key_type VARCHAR(20) NOT NULL CHECK (key_type IN ('ip', 'wallet', 'twitter_id')),
+      key_value VARCHAR(255) NOT NULL,
+      note TEXT,
+      expires_at TIMESTAMP WITH TIME ZONE,
+      created_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uq_rate_limit_allowlist_key UNIQUE (key_type, key_value)
+    );
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS rate_limit_allowlist;
+    DROP TABLE IF EXISTS rate_limit_hits;
+  `);
+};
+
+export { up, down };
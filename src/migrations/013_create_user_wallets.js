@@ -0,0 +1,55 @@
+import { normalizeWalletAddress } from '../utils/walletAddress.js';
+
+// Wallets linked to a user, on any supported chain. Addresses are stored normalized (see
+// utils/walletAddress.js) and belong to one user at most; each user has at most one primary
+// wallet per chain. user_profiles.wallet_address stays as the user's primary EVM wallet, so it
+// becomes optional for users who only link other chains.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_wallets (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+      chain VARCHAR(16) NOT NULL CHECK (chain IN ('evm', 'solana', 'bitcoin')),
+      address VARCHAR(100) NOT NULL,
+      is_primary BOOLEAN NOT NULL DEFAULT false,
+      -- When ownership was proven by signature; NULL for wallets set by an admin or imported
+      -- from user_profiles
+      verified_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uq_user_wallets_chain_address UNIQUE (chain, address)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_wallets_user ON user_wallets(user_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_user_wallets_primary ON user_wallets(user_id, chain) WHERE is_primary;
+
+    ALTER TABLE user_profiles ALTER COLUMN wallet_address DROP NOT NULL;
+    ALTER TABLE xp_events ALTER COLUMN wallet_address DROP NOT NULL;
+  `);
+
+  // Existing registrations become primary EVM wallets, checksummed like new ones
+  const existing = await client.query('SELECT id, wallet_address FROM user_profiles WHERE wallet_address IS NOT NULL');
+  const wallets = existing.rows
+    .map((row) => ({ id: row.id, address: normalizeWalletAddress('evm', row.wallet_address.toLowerCase()) }))
+    .filter((row) => row.address !== null);
+
+  await client.query(
+    `INSERT INTO user_wallets (user_id, chain, address, is_primary, created_at)
+     SELECT u.id, 'evm', imported.address, true, u.created_at
+     FROM unnest($1::int[], $2::text[]) AS imported(user_id, address)
+     JOIN user_profiles u ON u.id = imported.user_id
+     ON CONFLICT DO NOTHING`,
+    [wallets.map((row) => row.id), wallets.map((row) => row.address)]
+  );
+};
+
+// Fails while users without an EVM wallet exist; delete them or give them one first
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE xp_events ALTER COLUMN wallet_address SET NOT NULL;
+    ALTER TABLE user_profiles ALTER COLUMN wallet_address SET NOT NULL;
+    DROP TABLE IF EXISTS user_wallets;
+  `);
+};
+
+export { up, down };
@@ -0,0 +1,62 @@
+// Registration risk scoring (config/risk.js): the Twitter account signals and IP the score was
+// computed from, the score and its outcome, and the admin review of flagged or held
+// registrations. Held registrations get the new pending_review status. Users registered
+// before this migration have no score.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE user_profiles
+      ADD COLUMN IF NOT EXISTS twitter_created_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS twitter_followers_count INTEGER,
+      ADD COLUMN IF NOT EXISTS twitter_following_count INTEGER,
+      ADD COLUMN IF NOT EXISTS twitter_tweet_count INTEGER,
+      ADD COLUMN IF NOT EXISTS twitter_default_profile_image BOOLEAN,
+      ADD COLUMN IF NOT EXISTS twitter_verified BOOLEAN,
+      ADD COLUMN IF NOT EXISTS registration_ip VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS risk_score INTEGER,
+      ADD COLUMN IF NOT EXISTS risk_decision VARCHAR(10) CHECK (risk_decision IN ('allow', 'flag', 'review')),
+      ADD COLUMN IF NOT EXISTS risk_reasons JSONB NOT NULL DEFAULT '[]',
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+    ALTER TABLE user_profiles DROP CONSTRAINT IF EXISTS chk_user_profiles_status;
+    ALTER TABLE user_profiles
+      ADD CONSTRAINT chk_user_profiles_status CHECK (status IN ('active', 'banned', 'pending_review'));
+
+    -- Per-IP registration velocity
+    CREATE INDEX IF NOT EXISTS idx_user_profiles_registration_ip ON user_profiles(registration_ip, created_at);
+    -- The admin review queue
+    CREATE INDEX IF NOT EXISTS idx_user_profiles_review_queue ON user_profiles(created_at)
+      WHERE reviewed_at IS NULL AND risk_decision IN ('flag', 'review');
+  `);
+};
+
+// Fails while registrations are held for review; approve or reject them first
+const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_user_profiles_review_queue;
+    DROP INDEX IF EXISTS idx_user_profiles_registration_ip;
+
+    ALTER TABLE user_profiles DROP CONSTRAINT IF EXISTS chk_user_profiles_status;
+    ALTER TABLE user_profiles
+      ADD CONSTRAINT chk_user_profiles_status CHECK (status IN ('active', 'banned'));
+
+    ALTER TABLE user_profiles
+      DROP COLUMN IF EXISTS review_note,
+      DROP COLUMN IF EXISTS reviewed_by,
+      DROP COLUMN IF EXISTS reviewed_at,
+      DROP COLUMN IF EXISTS risk_reasons,
+      DROP COLUMN IF EXISTS risk_decision,
+      DROP COLUMN IF EXISTS risk_score,
+      DROP COLUMN IF EXISTS registration_ip,
+      DROP COLUMN IF EXISTS twitter_verified,
+      DROP COLUMN IF EXISTS twitter_default_profile_image,
+      DROP COLUMN IF EXISTS twitter_tweet_count,
+      DROP COLUMN IF EXISTS twitter_following_count,
+      DROP COLUMN IF EXISTS twitter_followers_count,
+      DROP COLUMN IF EXISTS twitter_created_at;
+  `);
+};
+
+export { up, down };
@@ -0,0 +1,47 @@
+// Twitter profile snapshots (services/twitterProfiles.js): the latest copy of each user's
+// public Twitter profile, taken at login and by the scheduled refresh, and the encrypted
+// user tokens the refresh reads profiles with. Both go away with the user.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS twitter_profile_snapshots (
+      user_id INTEGER PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+      twitter_id VARCHAR(100) NOT NULL,
+      twitter_username VARCHAR(100) NOT NULL,
+      twitter_name VARCHAR(200),
+      profile_image_url TEXT,
+      description TEXT,
+      followers_count INTEGER,
+      following_count INTEGER,
+      tweet_count INTEGER,
+      verified BOOLEAN,
+      -- Where the snapshot came from: login, registration or refresh
+      source VARCHAR(20) NOT NULL CHECK (source IN ('login', 'registration', 'refresh')),
+      fetched_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS twitter_user_tokens (
+      user_id INTEGER PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+      -- Login flow that issued the tokens; its provider refreshes the profile
+      flow VARCHAR(16) NOT NULL,
+      -- AES-256-GCM sealed JSON (utils/secretBox.js), keyed by TWITTER_TOKEN_ENCRYPTION_KEY
+      credentials TEXT NOT NULL,
+      last_attempt_at TIMESTAMP WITH TIME ZONE,
+      last_error VARCHAR(50),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Profiles due for a refresh, least recently tried first
+    CREATE INDEX IF NOT EXISTS idx_twitter_user_tokens_last_attempt ON twitter_user_tokens(last_attempt_at NULLS FIRST);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS twitter_user_tokens;
+    DROP TABLE IF EXISTS twitter_profile_snapshots;
+  `);
+};
+
+export { up, down };
@@ -0,0 +1,19 @@
+// The XP ledger is append-only, so deleting a user must not take their events with it.
+// xp_events.user_id stops referencing user_profiles and keeps the id of a deleted user;
+// the deletion itself is recorded in user_profile_history (services/userAdmin.js).
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE xp_events DROP CONSTRAINT IF EXISTS xp_events_user_id_fkey;
+  `);
+};
+
+// Fails while XP events of deleted users exist
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE xp_events
+      ADD CONSTRAINT xp_events_user_id_fkey FOREIGN KEY (user_id) REFERENCES user_profiles(id) ON DELETE CASCADE;
+  `);
+};
+
+export { up, down };
@@ -0,0 +1,224 @@
+import { readdir } from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { pool } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+// Versioned schema migrations.
+//
+// Files in this directory named NNN_description.js export `up(client)` and `down(client)`.
+// Applied versions are tracked in schema_migrations. Each migration runs in its own
+// transaction, and the whole run holds a Postgres advisory lock so instances that start
+// at the same time apply migrations one after another instead of racing.
+//
+// Usage: npm run migrate -- <up|down|status> [steps]
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MIGRATION_FILE_PATTERN = /^(\d{3})_(.+)\.js$/;
+const MIGRATION_LOCK_SQL = "SELECT pg_advisory_lock(hashtext('madcat_schema_migrations'))";
+const MIGRATION_UNLOCK_SQL = "SELECT pg_advisory_unlock(hashtext('madcat_schema_migrations'))";
+
+const loadMigrations = async () => {
+  const files = (await readdir(__dirname))
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const module = await import(pathToFileURL(join(__dirname, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+    migrations.push({ version: parseInt(version), name, file, up: module.up, down: module.down });
+  }
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    versions.add(migration.version);
+  }
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Runs fn with a dedicated client holding the migration lock
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query(MIGRATION_LOCK_SQL);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query(MIGRATION_UNLOCK_SQL);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+const applyMigration = async (client, migration, direction) => {
+  await client.query('BEGIN');
+  try {
+    if (direction === 'up') {
+      await migration.up(client);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+  }
+};
+
+// Applies every pending migration in order. Resolves to the list of applied files.
+const runMigrations = async () => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map((row) => row.version));
+    const pending = migrations.filter((migration) => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      logger.info('⬆️  Applying migration', { migration: migration.file });
+      await applyMigration(client, migration, 'up');
+    }
+
+    return pending.map((migration) => migration.file);
+  });
+};
+
+// Reverts the most recently applied migrations. Resolves to the list of reverted files.
+const rollbackMigrations = async (steps = 1) => {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Applied migration ${row.version}_${row.name} has no file to roll back with`);
+      }
+      logger.info('⬇️  Reverting migration', { migration: migration.file });
+      await applyMigration(client, migration, 'down');
+      reverted.push(migration.file);
+    }
+
+    return reverted;
+  });
+};
+
+const getMigrationStatus = async () => {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = new Map((await getAppliedMigrations(client)).map((row) => [row.version, row]));
+
+    const status = migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: applied.get(migration.version)?.applied_at || null
+    }));
+
+    // Versions recorded in the database whose files have been removed
+    for (const [version, row] of applied) {
+      if (!migrations.some((migration) => migration.version === version)) {
+        status.push({ version, name: row.name, applied_at: row.applied_at, missing: true });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+};
+
+// Files not yet recorded in schema_migrations. Read-only, for health checks: an empty
+// database (no schema_migrations table yet) reports every migration as pending.
+const getPendingMigrations = async () => {
+  const migrations = await loadMigrations();
+  let applied;
+  try {
+    applied = new Set((await getAppliedMigrations(pool)).map((row) => row.version));
+  } catch (error) {
+    if (error.code !== '42P01') {
+      throw error;
+    }
+    applied = new Set();
+  }
+  return migrations
+    .filter((migration) => !applied.has(migration.version))
+    .map((migration) => migration.file);
+};
+
+const runCli = async () => {
+  const [command = 'status', stepsArg] = process.argv.slice(2);
+
+  try {
+    if (command === 'up') {
+      const applied = await runMigrations();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = parseInt(stepsArg || '1');
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('steps must be a positive integer');
+      }
+      const reverted = await rollbackMigrations(steps);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const status = await getMigrationStatus();
+      console.table(status.map((row) => ({
+        version: String(row.version).padStart(3, '0'),
+        name: row.name,
+        state: row.missing ? 'applied (file missing)' : row.applied_at ? 'applied' : 'pending',
+        applied_at: row.applied_at ? row.applied_at.toISOString() : ''
+      })));
+    } else {
+      console.error(`Unknown command "${command}". Usage: run-migrations.js <up|down|status> [steps]`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration command failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+if (process.argv[1] && __filename === process.argv[1]) {
+  runCli();
+}
+
+export { loadMigrations, runMigrations, rollbackMigrations, getMigrationStatus, getPendingMigrations };
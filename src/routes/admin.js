@@ -0,0 +1,418 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import {
+  ADMIN_ROLES,
+  authenticateAdmin,
+  createAdminSession,
+  revokeAdminSession,
+  revokeAllAdminSessions,
+  listAdmins,
+  createAdmin,
+  updateAdmin
+} from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Validation middleware for admin login
+const validateLogin = [
+  body('username')
+    .isString()
+    .withMessage('Username must be a string')
+    .bail()
+    .notEmpty()
+    .withMessage('Username is required')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .trim(),
+
+  body('password')
+    .isString()
+    .withMessage('Password must be a string')
+    .bail()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const validateNewAdmin = [
+  body('username')
+    .isString()
+    .withMessage('Username must be a string')
+    .bail()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_.-]+$/)
+    .withMessage('Username can only contain letters, numbers, dots, dashes and underscores'),
+
+  body('password')
+    .isString()
+    .withMessage('Password must be a string')
+    .bail()
+    .isLength({ min: 12 })
+    .withMessage('Password must be at least 12 characters long'),
+
+  body('role')
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`)
+];
+
+const validateAdminId = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid admin id').toInt()
+];
+
+const validateAdminUpdate = [
+  ...validateAdminId,
+
+  body('role')
+    .optional()
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`),
+
+  body('is_active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('is_active must be a boolean'),
+
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+    .bail()
+    .isLength({ min: 12 })
+    .withMessage('Password must be at least 12 characters long')
+];
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     AdminBearer:
+ *       type: http
+ *       scheme: bearer
+ *       description: Token returned by POST /api/admin/login
+ */
+
+/**
+ * @swagger
+ * /api/admin/login:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Log in as an admin
+ *     description: Exchanges admin credentials for a bearer token that expires after `ADMIN_SESSION_TTL_HOURS`
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                 admin:
+ *                   type: object
+ *       401:
+ *         description: Invalid admin credentials
+ */
+router.post('/login', validateLogin, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { username, password } = req.body;
+    const admin = await authenticateAdmin(username, password);
+    if (!admin) {
+      logger.warn('Failed admin login attempt', { ip: req.ip, username });
+      await recordAuditEvent(req, {
+        action: 'admin.login_failed',
+        targetType: 'admin',
+        metadata: { username },
+        actor: { actorType: 'anonymous', actorId: null, actorLabel: null }
+      });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid admin credentials'
+      });
+    }
+
+    const session = await createAdminSession(admin, { ip: req.ip, userAgent: req.get('user-agent') });
+    logger.info('Admin login', { admin: admin.username, role: admin.role, ip: req.ip });
+    await recordAuditEvent(req, {
+      action: 'admin.login',
+      targetType: 'admin',
+      targetId: admin.id,
+      actor: { actorType: 'admin', actorId: String(admin.id), actorLabel: admin.username }
+    });
+    res.json({
+      success: true,
+      token: session.token,
+      expires_at: session.expires_at,
+      admin
+    });
+  } catch (error) {
+    logger.error('Admin login failed', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/logout:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Revoke the current admin token
+ *     security:
+ *       - AdminBearer: []
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       401:
+ *         description: Missing or invalid token
+ */
+router.post('/logout', requireAdmin('viewer'), async (req, res) => {
+  try {
+    await revokeAdminSession(req.adminSessionId);
+    await recordAuditEvent(req, { action: 'admin.logout', targetType: 'admin', targetId: req.admin.id });
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    logger.error('Admin logout failed', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/me:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get the authenticated admin
+ *     security:
+ *       - AdminBearer: []
+ *     responses:
+ *       200:
+ *         description: Current admin
+ *       401:
+ *         description: Missing or invalid token
+ */
+router.get('/me', requireAdmin('viewer'), (req, res) => {
+  res.json({ success: true, admin: req.admin });
+});
+
+/**
+ * @swagger
+ * /api/admin/admins:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List admin accounts (superadmin)
+ *     security:
+ *       - AdminBearer: []
+ *     responses:
+ *       200:
+ *         description: Admin accounts
+ *       403:
+ *         description: Requires superadmin
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create an admin account (superadmin)
+ *     security:
+ *       - AdminBearer: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password, role]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 12
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, operator, superadmin]
+ *     responses:
+ *       201:
+ *         description: Admin created
+ *       400:
+ *         description: Validation failed or username taken
+ *       403:
+ *         description: Requires superadmin
+ */
+router.get('/admins', requireAdmin('superadmin'), async (req, res) => {
+  try {
+    const admins = await listAdmins();
+    res.json({ success: true, admins });
+  } catch (error) {
+    logger.error('Failed to list admins', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/admins', requireAdmin('superadmin'), validateNewAdmin, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const admin = await createAdmin(req.body);
+    logger.info('Admin created', { admin: req.admin.username, target_admin: admin.username, role: admin.role });
+    await recordAuditEvent(req, { action: 'admin.create', targetType: 'admin', targetId: admin.id, after: admin });
+    res.status(201).json({ success: true, admin });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'Admin username already exists' });
+    }
+    logger.error('Failed to create admin', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/admins/{id}:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Change an admin's role, status or password (superadmin)
+ *     description: Deactivating an admin or resetting their password revokes all of their tokens
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, operator, superadmin]
+ *               is_active:
+ *                 type: boolean
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Admin updated
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Requires superadmin
+ *       404:
+ *         description: Admin not found
+ */
+router.patch('/admins/:id', requireAdmin('superadmin'), validateAdminUpdate, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const { role, is_active, password } = req.body;
+
+  // Keep at least one way back in: superadmins cannot demote or deactivate themselves
+  if (id === req.admin.id && ((role && role !== 'superadmin') || is_active === false)) {
+    return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+  }
+
+  try {
+    const admin = await updateAdmin(id, { role, is_active, password });
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    logger.info('Admin updated', { admin: req.admin.username, target_admin: admin.username });
+    await recordAuditEvent(req, {
+      action: 'admin.update',
+      targetType: 'admin',
+      targetId: admin.id,
+      after: admin,
+      // Only whether the password changed is recorded, never the password itself
+      metadata: { role, is_active, password_changed: password !== undefined }
+    });
+    res.json({ success: true, admin });
+  } catch (error) {
+    logger.error('Failed to update admin', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/admins/{id}/revoke-sessions:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Revoke every token of an admin (superadmin)
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tokens revoked
+ *       403:
+ *         description: Requires superadmin
+ */
+router.post('/admins/:id/revoke-sessions', requireAdmin('superadmin'), validateAdminId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const revoked = await revokeAllAdminSessions(req.params.id);
+    await recordAuditEvent(req, {
+      action: 'admin.revoke_sessions',
+      targetType: 'admin',
+      targetId: req.params.id,
+      metadata: { revoked }
+    });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error('Failed to revoke admin sessions', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
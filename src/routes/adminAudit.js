@@ -0,0 +1,127 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { AUDIT_ACTOR_TYPES, queryAuditEvents } from '../services/audit.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const validateAuditQuery = [
+  query('actor_type')
+    .optional()
+    .isIn(AUDIT_ACTOR_TYPES)
+    .withMessage(`actor_type must be one of: ${AUDIT_ACTOR_TYPES.join(', ')}`),
+
+  query(['actor_id', 'target_type', 'target_id'])
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Must be between 1 and 100 characters'),
+
+  query('action')
+    .optional()
+    .trim()
+    .matches(/^[a-z_.]+\*?$/)
+    .withMessage('action must be an action name, optionally ending in * to match a prefix'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Must be an ISO 8601 date'),
+
+  query('before_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('before_id must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200')
+    .toInt()
+];
+
+/**
+ * @swagger
+ * /api/admin/audit-events:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Query the audit log (superadmin)
+ *     description: Returns audit events newest first. Pass `next_before_id` back as `before_id` for the next page.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_type
+ *         schema:
+ *           type: string
+ *           enum: [admin, user, system, anonymous]
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: Exact action name, or a prefix ending in `*` (e.g. `user.*`)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: before_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: A page of audit events
+ *       400:
+ *         description: Invalid parameters
+ *       403:
+ *         description: Superadmin role required
+ */
+router.get('/audit-events', requireAdmin('superadmin'), validateAuditQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { limit = 50 } = req.query;
+    const { events, next_before_id } = await queryAuditEvents({ ...req.query, limit });
+    res.json({
+      success: true,
+      events,
+      pagination: { limit, next_before_id }
+    });
+  } catch (error) {
+    logger.error('Failed to query audit events', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
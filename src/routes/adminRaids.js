@@ -0,0 +1,473 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import {
+  RAID_SUBMISSION_STATUSES,
+  parseTweetUrl,
+  createCampaign,
+  updateCampaign,
+  getCampaign,
+  listCampaigns,
+  listCampaignSubmissions,
+  reviewRaidSubmission,
+  reviewRaidSubmissions
+} from '../services/raids.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const campaignFieldValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('title must be between 1 and 200 characters'),
+
+    body('description')
+      .optional({ values: 'null' })
+      .isLength({ max: 2000 })
+      .withMessage('description must be at most 2000 characters'),
+
+    field('target_tweet_url')
+      .trim()
+      .custom((url) => parseTweetUrl(url) !== null)
+      .withMessage('target_tweet_url must be a twitter.com or x.com tweet URL'),
+
+    field('xp_reward')
+      .isInt({ min: 1, max: 100000 })
+      .withMessage('xp_reward must be between 1 and 100000')
+      .toInt(),
+
+    body('max_approved')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('max_approved must be a positive integer')
+      .toInt(),
+
+    field('starts_at')
+      .isISO8601()
+      .withMessage('starts_at must be an ISO 8601 date'),
+
+    field('ends_at')
+      .isISO8601()
+      .withMessage('ends_at must be an ISO 8601 date')
+      .custom((endsAt, { req }) => !req.body.starts_at || new Date(endsAt) > new Date(req.body.starts_at))
+      .withMessage('ends_at must be after starts_at'),
+
+    body('is_active')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('is_active must be a boolean')
+  ];
+};
+
+const validateCampaignId = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid campaign id').toInt()
+];
+
+const validatePageQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer')
+    .toInt()
+];
+
+const validateSubmissionQuery = [
+  ...validateCampaignId,
+  ...validatePageQuery,
+
+  query('status')
+    .optional()
+    .isIn(RAID_SUBMISSION_STATUSES)
+    .withMessage(`status must be one of: ${RAID_SUBMISSION_STATUSES.join(', ')}`)
+];
+
+const validateReviewNote = body('note')
+  .optional()
+  .trim()
+  .isLength({ min: 1, max: 500 })
+  .withMessage('note must be between 1 and 500 characters');
+
+const validateSingleReview = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid submission id').toInt(),
+  validateReviewNote
+];
+
+const validateBulkReview = [
+  body('ids')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('ids must be an array of 1 to 200 submission ids'),
+
+  body('ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Each id must be a positive integer')
+    .toInt(),
+
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('decision must be approve or reject'),
+
+  validateReviewNote
+];
+
+const REVIEW_ERRORS = {
+  not_found: [404, 'Submission not found'],
+  already_reviewed: [409, 'Submission has already been reviewed'],
+  cap_reached: [409, 'The raid has reached its participant cap']
+};
+
+/**
+ * @swagger
+ * /api/admin/raids:
+ *   get:
+ *     tags: [Admin Raids]
+ *     summary: List all raid campaigns (viewer)
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Campaigns with approved and pending submission counts
+ *   post:
+ *     tags: [Admin Raids]
+ *     summary: Create a raid campaign (operator)
+ *     security:
+ *       - AdminBearer: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, target_tweet_url, xp_reward, starts_at, ends_at]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               target_tweet_url:
+ *                 type: string
+ *               xp_reward:
+ *                 type: integer
+ *               max_approved:
+ *                 type: integer
+ *                 description: Maximum number of approved submissions; omit for no cap
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Campaign created
+ *       400:
+ *         description: Validation failed
+ */
+router.get('/raids', requireAdmin('viewer'), validatePageQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const raids = await listCampaigns({ limit, offset });
+    res.json({ success: true, raids, pagination: { limit, offset } });
+  } catch (error) {
+    logger.error('Failed to list raids', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/raids', requireAdmin('operator'), campaignFieldValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const raid = await createCampaign(req.body, { adminId: req.admin.id });
+    logger.info('Raid created', { admin: req.admin.username, raid_id: raid.id, title: raid.title });
+    await recordAuditEvent(req, { action: 'raid.create', targetType: 'raid', targetId: raid.id, after: raid });
+    res.status(201).json({ success: true, raid });
+  } catch (error) {
+    logger.error('Failed to create raid', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/raids/{id}:
+ *   patch:
+ *     tags: [Admin Raids]
+ *     summary: Edit or deactivate a raid campaign (operator)
+ *     description: Accepts any of the fields used to create a campaign. Changing xp_reward does not alter XP already awarded.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Updated campaign
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Raid not found
+ */
+router.patch('/raids/:id', requireAdmin('operator'), validateCampaignId, campaignFieldValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await updateCampaign(req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Raid not found' });
+    }
+    await recordAuditEvent(req, {
+      action: 'raid.update',
+      targetType: 'raid',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.after
+    });
+    res.json({ success: true, raid: result.after });
+  } catch (error) {
+    if (error.constraint === 'chk_raid_campaigns_window') {
+      return res.status(400).json({ error: 'ends_at must be after starts_at' });
+    }
+    logger.error('Failed to update raid', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/raids/{id}/submissions:
+ *   get:
+ *     tags: [Admin Raids]
+ *     summary: List submissions for a raid (viewer)
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Submissions, oldest first
+ *       404:
+ *         description: Raid not found
+ */
+router.get('/raids/:id/submissions', requireAdmin('viewer'), validateSubmissionQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const raid = await getCampaign(req.params.id);
+    if (!raid) {
+      return res.status(404).json({ error: 'Raid not found' });
+    }
+    const { status, limit = 50, offset = 0 } = req.query;
+    const submissions = await listCampaignSubmissions(raid.id, { status, limit, offset });
+    res.json({ success: true, raid, submissions, pagination: { limit, offset } });
+  } catch (error) {
+    logger.error('Failed to list raid submissions', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/raid-submissions/review:
+ *   post:
+ *     tags: [Admin Raids]
+ *     summary: Approve or reject submissions in bulk (operator)
+ *     description: Each submission is reviewed on its own, in the order given, and the response reports the outcome per id. Approval stops at the raid's participant cap.
+ *     security:
+ *       - AdminBearer: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids, decision]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Outcome per submission (approved, rejected, not_found, already_reviewed, cap_reached, or error when the review failed and nothing was changed for that submission)
+ */
+router.post('/raid-submissions/review', requireAdmin('operator'), validateBulkReview, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { ids, decision, note } = req.body;
+    const results = await reviewRaidSubmissions([...new Set(ids)], decision, { adminId: req.admin.id, note });
+    for (const result of results.filter((entry) => entry.before)) {
+      await recordAuditEvent(req, {
+        action: `raid_submission.${result.status === 'approved' ? 'approve' : 'reject'}`,
+        targetType: 'raid_submission',
+        targetId: result.id,
+        before: result.before,
+        after: result.after,
+        metadata: { bulk: true, note }
+      });
+    }
+    logger.info('Raid submissions bulk-reviewed', { admin: req.admin.username, count: results.length, decision });
+    res.json({
+      success: true,
+      results: results.map(({ id, status }) => ({ id, status }))
+    });
+  } catch (error) {
+    logger.error('Failed to review raid submissions', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/raid-submissions/{id}/{decision}:
+ *   post:
+ *     tags: [Admin Raids]
+ *     summary: Approve or reject one submission (operator)
+ *     description: Approving awards the raid's xp_reward as twitter XP, which counts towards /api/top-raiders.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: decision
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reviewed submission
+ *       404:
+ *         description: Submission not found
+ *       409:
+ *         description: Already reviewed, or the raid's participant cap is reached
+ */
+const reviewHandler = (decision) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await reviewRaidSubmission(req.params.id, decision, { adminId: req.admin.id, note: req.body.note });
+    if (REVIEW_ERRORS[result.status]) {
+      const [status, message] = REVIEW_ERRORS[result.status];
+      return res.status(status).json({ error: message });
+    }
+
+    await recordAuditEvent(req, {
+      action: `raid_submission.${decision}`,
+      targetType: 'raid_submission',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.after,
+      metadata: { note: req.body.note }
+    });
+    res.json({ success: true, submission: result.after });
+  } catch (error) {
+    logger.error('Failed to review raid submission', { decision, error });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.post('/raid-submissions/:id/approve', requireAdmin('operator'), validateSingleReview, reviewHandler('approve'));
+router.post('/raid-submissions/:id/reject', requireAdmin('operator'), validateSingleReview, reviewHandler('reject'));
+
+export default router;
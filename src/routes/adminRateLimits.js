@@ -0,0 +1,206 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { isIP } from 'net';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { RATE_LIMIT_KEY_TYPES, getRateLimitPolicies } from '../config/rateLimits.js';
+import { listAllowlistEntries, addAllowlistEntry, removeAllowlistEntry } from '../services/rateLimits.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { detectWalletChain } from '../utils/walletAddress.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const KEY_VALUE_CHECKS = {
+  ip: (value) => isIP(value) !== 0,
+  wallet: (value) => detectWalletChain(value) !== null,
+  twitter_id: (value) => /^\d{1,32}$/.test(value)
+};
+
+const validateAllowlistEntry = [
+  body('key_type')
+    .isIn(RATE_LIMIT_KEY_TYPES)
+    .withMessage(`key_type must be one of: ${RATE_LIMIT_KEY_TYPES.join(', ')}`),
+
+  body('key_value')
+    .isString()
+    .trim()
+    .custom((value, { req }) => {
+      const check = KEY_VALUE_CHECKS[req.body.key_type];
+      return !check || check(value);
+    })
+    .withMessage('key_value must be an IP address, wallet address or numeric Twitter id matching key_type'),
+
+  body('note')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('note must be at most 500 characters'),
+
+  body('expires_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expires_at must be an ISO 8601 date')
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('expires_at must be in the future')
+];
+
+const validateAllowlistId = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid allowlist entry id').toInt()
+];
+
+/**
+ * @swagger
+ * /api/admin/rate-limits:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Show the active rate limit policies and the allowlist (operator)
+ *     security:
+ *       - AdminBearer: []
+ *     responses:
+ *       200:
+ *         description: Policies with their limit, window and key, plus allowlisted keys
+ *       403:
+ *         description: Requires operator
+ */
+router.get('/rate-limits', requireAdmin('operator'), async (req, res) => {
+  try {
+    const policies = getRateLimitPolicies().map(({ name, max, windowMs, keyBy }) => ({
+      name,
+      max,
+      window_minutes: windowMs / 60000,
+      key_by: keyBy
+    }));
+    const allowlist = await listAllowlistEntries();
+    res.json({ success: true, policies, allowlist });
+  } catch (error) {
+    logger.error('Failed to fetch rate limit settings', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/rate-limits/allowlist:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Exempt an IP, wallet or Twitter account from rate limits (superadmin)
+ *     description: Takes effect immediately on this instance and within a minute on the others
+ *     security:
+ *       - AdminBearer: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [key_type, key_value]
+ *             properties:
+ *               key_type:
+ *                 type: string
+ *                 enum: [ip, wallet, twitter_id]
+ *               key_value:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Key allowlisted
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Requires superadmin
+ *       409:
+ *         description: Key is already allowlisted
+ */
+router.post('/rate-limits/allowlist', requireAdmin('superadmin'), validateAllowlistEntry, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { key_type, key_value, note, expires_at } = req.body;
+    const entry = await addAllowlistEntry({
+      keyType: key_type,
+      keyValue: key_value,
+      note,
+      expiresAt: expires_at,
+      adminId: req.admin.id
+    });
+    if (!entry) {
+      return res.status(409).json({ error: 'Key is already allowlisted' });
+    }
+
+    logger.info('Rate limit allowlist entry added', { admin: req.admin.username, key_type, entry_id: entry.id });
+    await recordAuditEvent(req, {
+      action: 'rate_limit.allowlist_add',
+      targetType: 'rate_limit_allowlist',
+      targetId: entry.id,
+      after: entry
+    });
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    logger.error('Failed to add rate limit allowlist entry', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/rate-limits/allowlist/{id}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Remove a key from the rate limit allowlist (superadmin)
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ *       403:
+ *         description: Requires superadmin
+ *       404:
+ *         description: Entry not found
+ */
+router.delete('/rate-limits/allowlist/:id', requireAdmin('superadmin'), validateAllowlistId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const entry = await removeAllowlistEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Allowlist entry not found' });
+    }
+
+    logger.info('Rate limit allowlist entry removed', { admin: req.admin.username, key_type: entry.key_type, entry_id: entry.id });
+    await recordAuditEvent(req, {
+      action: 'rate_limit.allowlist_remove',
+      targetType: 'rate_limit_allowlist',
+      targetId: entry.id,
+      before: entry
+    });
+    res.json({ success: true, entry });
+  } catch (error) {
+    logger.error('Failed to remove rate limit allowlist entry', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
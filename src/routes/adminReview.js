@@ -0,0 +1,174 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { REVIEW_QUEUE_STATES, listReviewQueue, reviewRegistration } from '../services/registrationRisk.js';
+import { attachWallets } from '../services/wallets.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { logger } from '../utils/logger.js';
+
+// Review queue of registrations flagged or held by the risk rules (config/risk.js)
+
+const router = express.Router();
+
+const validateQueueQuery = [
+  query('state')
+    .optional()
+    .isIn(REVIEW_QUEUE_STATES)
+    .withMessage(`state must be one of: ${REVIEW_QUEUE_STATES.join(', ')}`),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer')
+    .toInt()
+];
+
+const validateReview = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user id').toInt(),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('note must be between 1 and 500 characters')
+];
+
+const REVIEW_ERRORS = {
+  not_found: [404, 'User not found'],
+  not_in_queue: [409, 'Registration is not awaiting review']
+};
+
+/**
+ * @swagger
+ * /api/admin/review-queue:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Registrations awaiting risk review (viewer)
+ *     description: Unreviewed registrations the risk rules held (pending_review) or flagged, oldest first, with their risk score, matched rules, Twitter account signals and linked wallets.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [pending_review, flagged, all]
+ *           default: pending_review
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Users awaiting review and the total in the queue
+ */
+router.get('/review-queue', requireAdmin('viewer'), validateQueueQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { state = 'pending_review', limit = 50, offset = 0 } = req.query;
+    const { users, total } = await listReviewQueue({ state, limit, offset });
+    await recordAuditEvent(req, {
+      action: 'user.review_queue',
+      targetType: 'user',
+      metadata: { state, results: users.length }
+    });
+    res.json({ success: true, users: await attachWallets(users), total, pagination: { limit, offset } });
+  } catch (error) {
+    logger.error('Failed to fetch review queue', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/review-queue/{id}/{decision}:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Approve or reject a registration in the review queue (operator)
+ *     description: Approving activates a registration held as pending_review (flagged ones are active already) and removes it from the queue. Rejecting bans the user, with the note as the ban reason.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: User id
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: decision
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reviewed user
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Not awaiting review
+ */
+const reviewHandler = (decision) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await reviewRegistration(req.params.id, decision, { adminId: req.admin.id, note: req.body.note });
+    if (REVIEW_ERRORS[result.status]) {
+      const [status, message] = REVIEW_ERRORS[result.status];
+      return res.status(status).json({ error: message });
+    }
+
+    logger.info('Registration reviewed', { admin: req.admin.username, user_id: req.params.id, decision });
+    await recordAuditEvent(req, {
+      action: `user.review_${decision}`,
+      targetType: 'user',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.after,
+      metadata: { note: req.body.note, risk_score: result.before.risk_score }
+    });
+    res.json({ success: true, user: result.after });
+  } catch (error) {
+    logger.error('Failed to review registration', { decision, error });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.post('/review-queue/:id/approve', requireAdmin('operator'), validateReview, reviewHandler('approve'));
+router.post('/review-queue/:id/reject', requireAdmin('operator'), validateReview, reviewHandler('reject'));
+
+export default router;
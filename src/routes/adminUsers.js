@@ -0,0 +1,771 @@
+import express from 'express';
+import { pipeline } from 'stream';
+import { body, param, query, validationResult } from 'express-validator';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import {
+  USER_STATUSES,
+  USER_SORTS,
+  decodeUserCursor,
+  searchUsers,
+  getUserById,
+  updateUser,
+  banUser,
+  unbanUser,
+  deleteUser
+} from '../services/userAdmin.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  openUserExport
+} from '../services/userExport.js';
+import { getProfileHistory, findWalletHistory } from '../services/profile.js';
+import { attachWallets } from '../services/wallets.js';
+import { getProfileSnapshot, refreshTwitterProfile } from '../services/twitterProfiles.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { WALLET_CHAINS, normalizeWalletAddress, detectWalletChain } from '../utils/walletAddress.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const validateUserSearch = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('q must be between 1 and 100 characters'),
+
+  query('status')
+    .optional()
+    .isIn(USER_STATUSES)
+    .withMessage(`status must be one of: ${USER_STATUSES.join(', ')}`),
+
+  query('created_from')
+    .optional()
+    .isISO8601()
+    .withMessage('created_from must be an ISO 8601 date'),
+
+  query('created_to')
+    .optional()
+    .isISO8601()
+    .withMessage('created_to must be an ISO 8601 date'),
+
+  query('sort')
+    .optional()
+    .isIn(Object.keys(USER_SORTS))
+    .withMessage(`sort must be one of: ${Object.keys(USER_SORTS).join(', ')}`),
+
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('order must be asc or desc'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+
+  query('cursor')
+    .optional()
+    .isString()
+];
+
+const validateUserExport = [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+
+  query('columns')
+    .optional()
+    .customSanitizer((value) => String(value).split(',').map((column) => column.trim()).filter(Boolean))
+    .custom((columns) => columns.length > 0 && columns.every((column) => EXPORT_COLUMNS.includes(column)))
+    .withMessage(`columns must be a comma-separated list of: ${EXPORT_COLUMNS.join(', ')}`),
+
+  query('chain')
+    .optional()
+    .isIn(WALLET_CHAINS)
+    .withMessage(`chain must be one of: ${WALLET_CHAINS.join(', ')}`),
+
+  query('registered_before')
+    .optional()
+    .isISO8601()
+    .withMessage('registered_before must be an ISO 8601 date'),
+
+  query('exclude_banned')
+    .optional()
+    .isBoolean()
+    .withMessage('exclude_banned must be true or false')
+    .toBoolean(),
+
+  query('min_score')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('min_score must be a non-negative number')
+    .toFloat()
+];
+
+const validateUserId = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user id').toInt()
+];
+
+const validateWalletParam = [
+  param('wallet_address')
+    .custom((value) => detectWalletChain(value) !== null)
+    .withMessage('Invalid wallet address: expected an EVM, Solana or Bitcoin (bc1q) address')
+];
+
+const validateUserUpdate = [
+  ...validateUserId,
+
+  body('twitter_username')
+    .optional()
+    .isLength({ min: 1, max: 25 })
+    .withMessage('Twitter username must be between 1 and 25 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Twitter username can only contain letters, numbers, and underscores'),
+
+  body('twitter_name')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Twitter name must be between 1 and 200 characters'),
+
+  body('telegram_username')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Telegram username must be between 1 and 50 characters'),
+
+  // The primary EVM wallet; other chains are linked by the users themselves
+  body('wallet_address')
+    .optional()
+    .custom((value) => normalizeWalletAddress('evm', value) !== null)
+    .withMessage('Invalid EVM wallet address')
+];
+
+const validateModerationReason = [
+  ...validateUserId,
+
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('A reason between 3 and 500 characters is required')
+];
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Search registered users (viewer)
+ *     description: Searches by any linked wallet, Twitter handle or Telegram username and filters by status and registration date. Results include each user's linked wallets and are cursor-paginated; pass `next_cursor` back as `cursor` with the same sort and order.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, banned, pending_review]
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, id, twitter_username]
+ *           default: created_at
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of users
+ *       400:
+ *         description: Invalid parameters or cursor
+ */
+router.get('/users', requireAdmin('viewer'), validateUserSearch, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { q, status, created_from, created_to, sort = 'created_at', order = 'desc', limit = 50, cursor } = req.query;
+
+  let position = null;
+  if (cursor) {
+    position = decodeUserCursor(cursor, sort, order);
+    if (!position) {
+      return res.status(400).json({ error: 'Invalid cursor for this sort order' });
+    }
+  }
+
+  try {
+    const { users, next_cursor } = await searchUsers({
+      q, status, created_from, created_to, sort, order, limit, position
+    });
+    await recordAuditEvent(req, {
+      action: 'user.search',
+      targetType: 'user',
+      metadata: { q, status, created_from, created_to, sort, order, limit, results: users.length }
+    });
+    res.json({
+      success: true,
+      users: await attachWallets(users),
+      pagination: { limit, sort, order, next_cursor }
+    });
+  } catch (error) {
+    logger.error('Failed to search users', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  wallets: 'text/csv; charset=utf-8'
+};
+
+const EXPORT_EXTENSIONS = { csv: 'csv', ndjson: 'ndjson', wallets: 'csv' };
+
+/**
+ * @swagger
+ * /api/admin/export/users:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Stream a registration export (operator)
+ *     description: Streams user_profiles from a database cursor as CSV, NDJSON, or a headerless list of primary wallet addresses on one chain for airdrop tools (EVM addresses EIP-55 checksummed). The wallet_address column is the primary EVM wallet.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, wallets]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         description: Comma-separated columns (ignored for the wallets format)
+ *         schema:
+ *           type: string
+ *           example: wallet_address,twitter_username,total_score
+ *       - in: query
+ *         name: chain
+ *         description: Chain whose primary wallets the wallets format lists
+ *         schema:
+ *           type: string
+ *           enum: [evm, solana, bitcoin]
+ *           default: evm
+ *       - in: query
+ *         name: registered_before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: exclude_banned
+ *         description: Leave out banned users and registrations held for review
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: min_score
+ *         description: Minimum total_score
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Export stream
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get('/export/users', requireAdmin('operator'), validateUserExport, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const {
+    format = 'csv',
+    columns = DEFAULT_EXPORT_COLUMNS,
+    registered_before,
+    exclude_banned = true,
+    min_score,
+    chain = 'evm'
+  } = req.query;
+
+  let exportStream;
+  try {
+    exportStream = await openUserExport({ format, columns, chain, registered_before, exclude_banned, min_score });
+  } catch (error) {
+    logger.error('Failed to start export', { error });
+    return res.status(500).json({ error: error.message });
+  }
+
+  logger.info('User export started', { admin: req.admin.username, format });
+  await recordAuditEvent(req, {
+    action: 'user.export',
+    targetType: 'user',
+    metadata: { format, columns, chain, registered_before, exclude_banned, min_score }
+  });
+  const filename = `registrations-${new Date().toISOString().slice(0, 10)}.${EXPORT_EXTENSIONS[format]}`;
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  // pipeline() handles backpressure and tears down the cursor if the client disconnects
+  pipeline(exportStream.rows, exportStream.formatter, res, (error) => {
+    // A half-read cursor leaves the connection mid-query, so discard it rather than reuse it
+    exportStream.release(error || undefined);
+    if (error) {
+      logger.error('Export stream failed', { error });
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get a user (viewer)
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User with their linked wallets and latest Twitter profile snapshot
+ *       404:
+ *         description: User not found
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Edit a user's profile (operator)
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               twitter_username:
+ *                 type: string
+ *               twitter_name:
+ *                 type: string
+ *               telegram_username:
+ *                 type: string
+ *                 description: A different handle clears the verified telegram_user_id; the user proves the new account by linking Telegram again
+ *               wallet_address:
+ *                 type: string
+ *                 description: Replaces the user's primary EVM wallet; the new one is marked unverified
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Telegram username or wallet already belongs to another user
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Permanently delete a user (superadmin)
+ *     description: Removes the profile and its linked wallets. The wallets and the deletion are recorded in the profile history and the user's XP events stay in the ledger. Prefer banning unless the record must be erased.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id', requireAdmin('viewer'), validateUserId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await recordAuditEvent(req, { action: 'user.view', targetType: 'user', targetId: user.id });
+    const [[withWallets], twitterProfile] = await Promise.all([attachWallets([user]), getProfileSnapshot(user.id)]);
+    res.json({ success: true, user: { ...withWallets, twitter_profile: twitterProfile } });
+  } catch (error) {
+    logger.error('Failed to fetch user', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/users/:id', requireAdmin('operator'), validateUserUpdate, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await updateUser(req.params.id, req.body, { adminId: req.admin.id });
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    logger.info('User edited by admin', { admin: req.admin.username, user_id: req.params.id });
+    await recordAuditEvent(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.after
+    });
+    const [withWallets] = await attachWallets([result.after]);
+    res.json({ success: true, user: withWallets });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Telegram username or wallet address already belongs to another user' });
+    }
+    logger.error('Failed to update user', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/users/:id', requireAdmin('superadmin'), validateUserId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await deleteUser(req.params.id, { adminId: req.admin.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    logger.info('User deleted by admin', { admin: req.admin.username, user_id: req.params.id });
+    await recordAuditEvent(req, { action: 'user.delete', targetType: 'user', targetId: req.params.id, before: user });
+    res.json({ success: true, message: 'User deleted', user });
+  } catch (error) {
+    logger.error('Failed to delete user', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/history:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get a user's profile change history (viewer)
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Profile changes, newest first
+ */
+router.get('/users/:id/history', requireAdmin('viewer'), validateUserId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const history = await getProfileHistory(req.params.id, { limit: 500 });
+    await recordAuditEvent(req, { action: 'user.history.view', targetType: 'user', targetId: req.params.id });
+    res.json({ success: true, history });
+  } catch (error) {
+    logger.error('Failed to fetch profile history', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/wallet-history/{wallet_address}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Find every profile that has used a wallet (viewer)
+ *     description: Looks through the profile change history, including profiles that have since been deleted, to resolve airdrop disputes
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: wallet_address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wallet changes involving this address, newest first
+ */
+router.get('/wallet-history/:wallet_address', requireAdmin('viewer'), validateWalletParam, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const history = await findWalletHistory(req.params.wallet_address);
+    await recordAuditEvent(req, {
+      action: 'wallet.history.view',
+      targetType: 'wallet',
+      targetId: normalizeWalletAddress(detectWalletChain(req.params.wallet_address), req.params.wallet_address)
+    });
+    res.json({ success: true, history });
+  } catch (error) {
+    logger.error('Failed to fetch wallet history', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/ban:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Soft-ban a user (operator)
+ *     description: Banned users keep their record but are excluded from leaderboards
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User banned
+ *       404:
+ *         description: User not found
+ * /api/admin/users/{id}/unban:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Lift a ban (operator)
+ *     description: The user becomes active again, or returns to pending_review if their registration is still waiting in the review queue.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User unbanned
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/ban', requireAdmin('operator'), validateModerationReason, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await banUser(req.params.id, { reason: req.body.reason, adminId: req.admin.id });
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    logger.info('User banned', { admin: req.admin.username, user_id: req.params.id, reason: req.body.reason });
+    await recordAuditEvent(req, {
+      action: 'user.ban',
+      targetType: 'user',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.after,
+      metadata: { reason: req.body.reason }
+    });
+    res.json({ success: true, user: result.after });
+  } catch (error) {
+    logger.error('Failed to ban user', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/users/:id/unban', requireAdmin('operator'), validateModerationReason, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await unbanUser(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    logger.info('User unbanned', { admin: req.admin.username, user_id: req.params.id, reason: req.body.reason });
+    await recordAuditEvent(req, {
+      action: 'user.unban',
+      targetType: 'user',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.after,
+      metadata: { reason: req.body.reason }
+    });
+    res.json({ success: true, user: result.after });
+  } catch (error) {
+    logger.error('Failed to unban user', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const PROFILE_REFRESH_ERRORS = {
+  not_found: [404, 'User not found'],
+  no_credentials: [409, 'No Twitter tokens are stored for this user; the profile refreshes at their next login'],
+  unauthorized: [409, 'Twitter no longer accepts this user\'s tokens; the profile refreshes at their next login'],
+  unavailable: [503, 'Twitter profile refresh is not available with the current configuration'],
+  rate_limited: [503, 'Twitter rate limit reached, try again later'],
+  failed: [502, 'Could not read the profile from Twitter']
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/refresh-profile:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Refresh a user's Twitter profile now (operator)
+ *     description: Reads the profile from Twitter with the user's stored tokens, as the scheduled refresh does. A changed handle or display name is copied to the user and recorded in their history.
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User with the new Twitter profile snapshot
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: No usable Twitter tokens are stored for the user
+ *       502:
+ *         description: Twitter returned an error
+ *       503:
+ *         description: Refresh not configured, or Twitter rate limit reached
+ */
+router.post('/users/:id/refresh-profile', requireAdmin('operator'), validateUserId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await refreshTwitterProfile(req.params.id);
+    if (PROFILE_REFRESH_ERRORS[result.status]) {
+      const [status, message] = PROFILE_REFRESH_ERRORS[result.status];
+      return res.status(status).json({ error: message });
+    }
+
+    await recordAuditEvent(req, {
+      action: 'user.profile_refresh',
+      targetType: 'user',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.user
+    });
+    const twitterProfile = await getProfileSnapshot(result.user.id);
+    res.json({ success: true, user: { ...result.user, twitter_profile: twitterProfile } });
+  } catch (error) {
+    logger.error('Failed to refresh Twitter profile', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,84 @@
+import express from 'express';
+import { getReadiness } from '../services/health.js';
+import { hasMetricsToken } from '../middleware/metrics.js';
+import { env } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     tags: [Health]
+ *     summary: Liveness probe
+ *     description: Succeeds as long as the process can serve requests, including while it drains during shutdown
+ *     responses:
+ *       200:
+ *         description: Process is alive
+ */
+router.get('/health/live', (req, res) => {
+  res.json({
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime: Math.floor(process.uptime())
+  });
+});
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     tags: [Health]
+ *     summary: Basic health check
+ *     description: Succeeds whenever the process can serve requests. Use `/health/ready` to check its dependencies.
+ *     responses:
+ *       200:
+ *         description: Process is up
+ */
+router.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: Math.floor(process.uptime()),
+    environment: env.NODE_ENV
+  });
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     tags: [Health]
+ *     summary: Readiness probe
+ *     description: |
+ *       Checks database connectivity and latency, pending migrations and the Twitter OAuth
+ *       configuration. Returns 503 when any check fails or the server is shutting down.
+ *       `checks` only reports whether each check passed; callers sending
+ *       `Authorization: Bearer <METRICS_TOKEN>` also get the details (latency, pending
+ *       migrations, the configuration error), which are otherwise only logged.
+ *     responses:
+ *       200:
+ *         description: Ready to receive traffic
+ *       503:
+ *         description: Not ready; `checks` shows which check failed
+ */
+router.get('/health/ready', async (req, res) => {
+  const { ready, status, checks } = await getReadiness();
+  const failed = Object.keys(checks).filter((name) => checks[name].status !== 'ok');
+  if (failed.length > 0) {
+    logger.warn('Readiness check failed', { failed, checks });
+  }
+
+  res.status(ready ? 200 : 503).json({
+    status,
+    timestamp: new Date().toISOString(),
+    uptime: Math.floor(process.uptime()),
+    environment: env.NODE_ENV,
+    checks: hasMetricsToken(req)
+      ? checks
+      : Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, { status: check.status }]))
+  });
+});
+
+export default router;
@@ -0,0 +1,202 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { LEADERBOARD_WINDOWS, getLeaderboard } from '../services/leaderboard.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const validateLeaderboardQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer')
+    .toInt(),
+
+  query('window')
+    .optional()
+    .isIn(Object.keys(LEADERBOARD_WINDOWS))
+    .withMessage(`window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}`)
+];
+
+const leaderboardHandler = (board) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { limit = 10, offset = 0, window = 'all' } = req.query;
+    res.json(await getLeaderboard(board, { limit, offset, window }));
+  } catch (error) {
+    logger.error('Failed to fetch leaderboard', { board, error });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     LeaderboardLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 10
+ *     LeaderboardOffset:
+ *       in: query
+ *       name: offset
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *         default: 0
+ *     LeaderboardWindow:
+ *       in: query
+ *       name: window
+ *       description: Only count XP earned within this window
+ *       schema:
+ *         type: string
+ *         enum: [all, 7d, 30d]
+ *         default: all
+ *   schemas:
+ *     Leaderboard:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               rank:
+ *                 type: integer
+ *               raider:
+ *                 type: string
+ *                 description: Twitter handle, or shortened wallet when no handle is stored
+ *               score:
+ *                 type: integer
+ *               wallet_address:
+ *                 type: string
+ *               twitter_username:
+ *                 type: string
+ *                 description: Current handle, kept up to date by Twitter profile refreshes
+ *               profile_image_url:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Twitter avatar from the latest profile snapshot
+ *         pagination:
+ *           type: object
+ *           properties:
+ *             limit:
+ *               type: integer
+ *             offset:
+ *               type: integer
+ *             total:
+ *               type: integer
+ *             window:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/top-raiders:
+ *   get:
+ *     tags: [Leaderboard]
+ *     summary: Get top raiders
+ *     description: Ranks registered users by Twitter XP. Ties go to whoever reached the score first.
+ *     parameters:
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardWindow'
+ *     responses:
+ *       200:
+ *         description: List of top raiders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leaderboard'
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get('/top-raiders', validateLeaderboardQuery, leaderboardHandler('raiders'));
+
+/**
+ * @swagger
+ * /api/top-whales:
+ *   get:
+ *     tags: [Leaderboard]
+ *     summary: Get top whales
+ *     description: Ranks registered users by trading XP. Ties go to whoever reached the score first.
+ *     parameters:
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardWindow'
+ *     responses:
+ *       200:
+ *         description: List of top whales
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leaderboard'
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get('/top-whales', validateLeaderboardQuery, leaderboardHandler('whales'));
+
+/**
+ * @swagger
+ * /api/loyalty-ranking:
+ *   get:
+ *     tags: [Leaderboard]
+ *     summary: Get loyalty ranking
+ *     description: Ranks registered users by Telegram community XP. Ties go to whoever reached the score first.
+ *     parameters:
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardWindow'
+ *     responses:
+ *       200:
+ *         description: List of loyalty ranking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leaderboard'
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get('/loyalty-ranking', validateLeaderboardQuery, leaderboardHandler('loyalty'));
+
+/**
+ * @swagger
+ * /api/top-referrers:
+ *   get:
+ *     tags: [Leaderboard]
+ *     summary: Get top referrers
+ *     description: Ranks registered users by how many active users registered with their referral code. With a window, only referrals made within it count. Ties go to whoever reached the count first.
+ *     parameters:
+ *       - $ref: '#/components/parameters/LeaderboardLimit'
+ *       - $ref: '#/components/parameters/LeaderboardOffset'
+ *       - $ref: '#/components/parameters/LeaderboardWindow'
+ *     responses:
+ *       200:
+ *         description: List of top referrers; score is the referral count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leaderboard'
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get('/top-referrers', validateLeaderboardQuery, leaderboardHandler('referrers'));
+
+export default router;
@@ -0,0 +1,37 @@
+import express from 'express';
+import { requireMetricsToken } from '../middleware/metrics.js';
+import { metricsRegistry, renderMetrics } from '../services/metrics.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     tags: [Health]
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Request counts and latency per route and status, Twitter OAuth starts and callback
+ *       outcomes, registration outcomes, pg pool usage and process metrics, in Prometheus
+ *       text format. Requires `Authorization: Bearer <METRICS_TOKEN>`; not served when
+ *       METRICS_TOKEN is unset.
+ *     responses:
+ *       200:
+ *         description: Metrics in Prometheus text format
+ *       401:
+ *         description: Missing or wrong metrics token
+ *       404:
+ *         description: METRICS_TOKEN is not configured
+ */
+router.get('/metrics', requireMetricsToken, async (req, res) => {
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await renderMetrics());
+  } catch (error) {
+    logger.error('Failed to render metrics', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
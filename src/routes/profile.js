@@ -0,0 +1,578 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { env } from '../config/env.js';
+import { requireTwitterSession } from '../middleware/twitterSession.js';
+import { validateTelegramAuth, validateWalletProof } from '../middleware/validation.js';
+import { verifyWalletChallenge } from '../services/walletAuth.js';
+import { verifyTelegramLogin } from '../services/telegramAuth.js';
+import { getProfileByTwitterId, getProfileHistory, updateOwnProfile } from '../services/profile.js';
+import { listUserWallets, attachWallets, linkWallet, setPrimaryWallet, unlinkWallet } from '../services/wallets.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { getReferralSummary } from '../services/referrals.js';
+import { getProfileSnapshot } from '../services/twitterProfiles.js';
+import { logger } from '../utils/logger.js';
+
+// Self-service endpoints for the owner of the Twitter identity in the signed session
+
+const router = express.Router();
+
+const validatePageQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer')
+    .toInt()
+];
+
+// Maps the outcome of updateOwnProfile, or the statuses it shares with the wallet changes,
+// onto a response
+const sendProfileUpdate = (res, result, label) => {
+  switch (result.status) {
+    case 'updated':
+      return res.json({ success: true, message: `${label} updated`, user: result.user });
+    case 'unchanged':
+      return res.json({ success: true, message: `${label} unchanged`, user: result.user });
+    case 'not_found':
+      return res.status(404).json({ error: 'You are not registered yet' });
+    case 'banned':
+      return res.status(403).json({ error: 'This account is banned and cannot be changed' });
+    case 'taken':
+      return res.status(409).json({ error: `${label} already belongs to another user` });
+    case 'cooldown':
+      return res.status(429).json({
+        error: `${label} was changed recently`,
+        message: `You can change it again after ${result.retry_at.toISOString()}`,
+        retry_at: result.retry_at
+      });
+    default:
+      return res.status(500).json({ error: 'Unexpected profile update result' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/me:
+ *   get:
+ *     tags: [Profile]
+ *     summary: Get your registered profile
+ *     description: Requires the Twitter session issued by the OAuth callback
+ *     responses:
+ *       200:
+ *         description: Registered profile with its linked wallets and latest Twitter profile snapshot (`twitter_profile`, null until one is taken)
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       404:
+ *         description: Not registered
+ */
+router.get('/me', requireTwitterSession, async (req, res) => {
+  try {
+    const user = await getProfileByTwitterId(req.twitterSession.twitter_id);
+    if (!user) {
+      return res.status(404).json({ error: 'You are not registered yet' });
+    }
+    const [[withWallets], twitterProfile] = await Promise.all([attachWallets([user]), getProfileSnapshot(user.id)]);
+    res.json({ success: true, user: { ...withWallets, twitter_profile: twitterProfile } });
+  } catch (error) {
+    logger.error('Failed to fetch profile', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Verifies the wallet proof in the body. Sends the 403 itself and resolves to null when the
+// signature does not check out.
+const verifyWalletProof = async (req, res) => {
+  const { wallet_chain = 'evm', wallet_address, wallet_nonce, wallet_signature } = req.body;
+  const walletProof = await verifyWalletChallenge({
+    chain: wallet_chain,
+    walletAddress: wallet_address,
+    nonce: wallet_nonce,
+    signature: wallet_signature
+  });
+  if (!walletProof.valid) {
+    res.status(403).json({ error: 'Wallet verification failed', message: walletProof.error });
+    return null;
+  }
+  return walletProof;
+};
+
+// Maps the outcome of the services/wallets.js changes onto a response
+const sendWalletUpdate = (res, result, message) => {
+  switch (result.status) {
+    case 'wallet_not_found':
+      return res.status(404).json({ error: 'Wallet not found' });
+    case 'limit':
+      return res.status(409).json({ error: `You can link at most ${env.MAX_WALLETS_PER_USER} wallets` });
+    case 'primary':
+      return res.status(409).json({ error: 'Make another wallet primary on this chain before unlinking this one' });
+    case 'linked':
+    case 'removed':
+    case 'updated':
+    case 'unchanged':
+      break;
+    default:
+      return sendProfileUpdate(res, result, 'Wallet');
+  }
+  return res.json({ success: true, message, wallet: result.wallet, user: result.user });
+};
+
+const validateWalletId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Wallet id must be a positive integer')
+    .toInt()
+];
+
+/**
+ * @swagger
+ * /api/me/wallet:
+ *   put:
+ *     tags: [Profile]
+ *     summary: Change your primary wallet
+ *     description: Links the wallet if needed and makes it your primary wallet on its chain. Requires a fresh signature over a challenge from /api/auth/wallet/challenge for the new wallet. Replacing a primary wallet is limited to one wallet change per PROFILE_CHANGE_COOLDOWN_HOURS.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [wallet_address, wallet_nonce, wallet_signature]
+ *             properties:
+ *               wallet_chain:
+ *                 type: string
+ *                 enum: [evm, solana, bitcoin]
+ *                 default: evm
+ *               wallet_address:
+ *                 type: string
+ *               wallet_nonce:
+ *                 type: string
+ *               wallet_signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Wallet updated
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       403:
+ *         description: Wallet ownership could not be verified, or the account is banned
+ *       404:
+ *         description: Not registered
+ *       409:
+ *         description: Wallet already belongs to another user, or the wallet limit is reached
+ *       429:
+ *         description: Changed too recently
+ */
+router.put('/me/wallet', requireTwitterSession, validateWalletProof, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const walletProof = await verifyWalletProof(req, res);
+    if (!walletProof) {
+      return;
+    }
+
+    const result = await linkWallet(req.twitterSession.twitter_id, { ...walletProof, makePrimary: true });
+    if (result.status === 'linked' || result.status === 'updated') {
+      logger.info('User changed their wallet', { twitter_id: req.twitterSession.twitter_id, chain: walletProof.chain });
+      await recordAuditEvent(req, {
+        action: 'user.self_update.wallet',
+        targetType: 'user',
+        targetId: result.user.id,
+        before: result.before,
+        after: result.user,
+        metadata: { chain: walletProof.chain, wallet_id: result.wallet.id }
+      });
+    }
+    sendWalletUpdate(res, result, 'Primary wallet updated');
+  } catch (error) {
+    logger.error('Failed to update wallet', { error });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Wallet already belongs to another user' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/wallets:
+ *   get:
+ *     tags: [Profile]
+ *     summary: List your linked wallets
+ *     responses:
+ *       200:
+ *         description: Linked wallets, grouped by chain with the primary wallet first
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       404:
+ *         description: Not registered
+ *   post:
+ *     tags: [Profile]
+ *     summary: Link another wallet
+ *     description: Requires a fresh signature over a challenge from /api/auth/wallet/challenge. The wallet becomes primary on its chain if you have none there yet. At most MAX_WALLETS_PER_USER wallets can be linked.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [wallet_address, wallet_nonce, wallet_signature]
+ *             properties:
+ *               wallet_chain:
+ *                 type: string
+ *                 enum: [evm, solana, bitcoin]
+ *                 default: evm
+ *               wallet_address:
+ *                 type: string
+ *               wallet_nonce:
+ *                 type: string
+ *               wallet_signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Wallet linked, or already linked and re-verified
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       403:
+ *         description: Wallet ownership could not be verified, or the account is banned
+ *       404:
+ *         description: Not registered
+ *       409:
+ *         description: Wallet already belongs to another user, or the wallet limit is reached
+ */
+router.get('/me/wallets', requireTwitterSession, async (req, res) => {
+  try {
+    const user = await getProfileByTwitterId(req.twitterSession.twitter_id);
+    if (!user) {
+      return res.status(404).json({ error: 'You are not registered yet' });
+    }
+    res.json({ success: true, wallets: await listUserWallets(user.id) });
+  } catch (error) {
+    logger.error('Failed to fetch wallets', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/me/wallets', requireTwitterSession, validateWalletProof, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const walletProof = await verifyWalletProof(req, res);
+    if (!walletProof) {
+      return;
+    }
+
+    const result = await linkWallet(req.twitterSession.twitter_id, walletProof);
+    if (result.status === 'linked') {
+      logger.info('User linked a wallet', { twitter_id: req.twitterSession.twitter_id, chain: walletProof.chain });
+      await recordAuditEvent(req, {
+        action: 'user.wallet_link',
+        targetType: 'user',
+        targetId: result.user.id,
+        after: result.wallet,
+        metadata: { chain: walletProof.chain }
+      });
+    }
+    sendWalletUpdate(res, result, result.status === 'linked' ? 'Wallet linked' : 'Wallet already linked');
+  } catch (error) {
+    logger.error('Failed to link wallet', { error });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Wallet already belongs to another user' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/wallets/{id}/primary:
+ *   put:
+ *     tags: [Profile]
+ *     summary: Make a linked wallet primary on its chain
+ *     description: Rewards on a chain go to its primary wallet. Limited to one wallet change per PROFILE_CHANGE_COOLDOWN_HOURS.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Primary wallet updated, or already primary
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       403:
+ *         description: The account is banned
+ *       404:
+ *         description: Not registered, or no such wallet linked
+ *       429:
+ *         description: Changed too recently
+ */
+router.put('/me/wallets/:id/primary', requireTwitterSession, validateWalletId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await setPrimaryWallet(req.twitterSession.twitter_id, req.params.id);
+    if (result.status === 'updated') {
+      logger.info('User changed their primary wallet', { twitter_id: req.twitterSession.twitter_id, chain: result.wallet.chain });
+      await recordAuditEvent(req, {
+        action: 'user.wallet_primary',
+        targetType: 'user',
+        targetId: result.user.id,
+        before: result.before,
+        after: result.user,
+        metadata: { chain: result.wallet.chain, wallet_id: result.wallet.id }
+      });
+    }
+    sendWalletUpdate(res, result, result.status === 'updated' ? 'Primary wallet updated' : 'Wallet is already primary');
+  } catch (error) {
+    logger.error('Failed to change primary wallet', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/wallets/{id}:
+ *   delete:
+ *     tags: [Profile]
+ *     summary: Unlink a wallet
+ *     description: Primary wallets can't be unlinked; make another wallet on the chain primary first. Limited to one wallet change per PROFILE_CHANGE_COOLDOWN_HOURS.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Wallet unlinked
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       403:
+ *         description: The account is banned
+ *       404:
+ *         description: Not registered, or no such wallet linked
+ *       409:
+ *         description: The wallet is primary on its chain
+ *       429:
+ *         description: Changed too recently
+ */
+router.delete('/me/wallets/:id', requireTwitterSession, validateWalletId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await unlinkWallet(req.twitterSession.twitter_id, req.params.id);
+    if (result.status === 'removed') {
+      logger.info('User unlinked a wallet', { twitter_id: req.twitterSession.twitter_id, chain: result.wallet.chain });
+      await recordAuditEvent(req, {
+        action: 'user.wallet_unlink',
+        targetType: 'user',
+        targetId: result.user.id,
+        before: result.wallet,
+        metadata: { chain: result.wallet.chain }
+      });
+    }
+    sendWalletUpdate(res, result, 'Wallet unlinked');
+  } catch (error) {
+    logger.error('Failed to unlink wallet', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/telegram:
+ *   put:
+ *     tags: [Profile]
+ *     summary: Change your Telegram account
+ *     description: Requires fresh Telegram Login Widget data for the new account. Limited to one change per PROFILE_CHANGE_COOLDOWN_HOURS.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [telegram_auth]
+ *             properties:
+ *               telegram_auth:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Telegram account updated
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       403:
+ *         description: Telegram login could not be verified, or the account is banned
+ *       404:
+ *         description: Not registered
+ *       409:
+ *         description: Telegram account already belongs to another user
+ *       429:
+ *         description: Changed too recently
+ */
+router.put('/me/telegram', requireTwitterSession, validateTelegramAuth, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const telegramProof = verifyTelegramLogin(req.body.telegram_auth);
+    if (!telegramProof.valid) {
+      return res.status(403).json({ error: 'Telegram verification failed', message: telegramProof.error });
+    }
+
+    const result = await updateOwnProfile(req.twitterSession.twitter_id, 'telegram', telegramProof.telegram);
+    if (result.status === 'updated') {
+      logger.info('User changed their Telegram account', { twitter_id: req.twitterSession.twitter_id });
+      await recordAuditEvent(req, {
+        action: 'user.self_update.telegram',
+        targetType: 'user',
+        targetId: result.user.id,
+        before: result.before,
+        after: result.user
+      });
+    }
+    sendProfileUpdate(res, result, 'Telegram account');
+  } catch (error) {
+    logger.error('Failed to update Telegram account', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/history:
+ *   get:
+ *     tags: [Profile]
+ *     summary: Get the change history of your profile
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Profile changes, newest first
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       404:
+ *         description: Not registered
+ */
+router.get('/me/history', requireTwitterSession, validatePageQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await getProfileByTwitterId(req.twitterSession.twitter_id);
+    if (!user) {
+      return res.status(404).json({ error: 'You are not registered yet' });
+    }
+    const { limit = 50, offset = 0 } = req.query;
+    const history = await getProfileHistory(user.id, { limit, offset });
+    res.json({ success: true, history, pagination: { limit, offset } });
+  } catch (error) {
+    logger.error('Failed to fetch profile history', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/referrals:
+ *   get:
+ *     tags: [Profile]
+ *     summary: Your referral code and the users you referred
+ *     description: referral_count counts active referred users only; total_referred includes banned ones.
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Referral code, counts and referred users, newest first
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       404:
+ *         description: Not registered
+ */
+router.get('/me/referrals', requireTwitterSession, validatePageQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await getProfileByTwitterId(req.twitterSession.twitter_id);
+    if (!user) {
+      return res.status(404).json({ error: 'You are not registered yet' });
+    }
+    const { limit = 50, offset = 0 } = req.query;
+    const summary = await getReferralSummary(user.id, { limit, offset });
+    res.json({
+      success: true,
+      referral_code: user.referral_code,
+      ...summary,
+      pagination: { limit, offset }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch referrals', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,246 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { requireTwitterSession } from '../middleware/twitterSession.js';
+import { getProfileByTwitterId } from '../services/profile.js';
+import { listCampaigns, getCampaign, submitRaidProof, listUserSubmissions } from '../services/raids.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const validatePageQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer')
+    .toInt()
+];
+
+const validateCampaignId = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid campaign id').toInt()
+];
+
+const validateSubmission = [
+  ...validateCampaignId,
+
+  body('proof_url')
+    .trim()
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('proof_url must be an https URL of your tweet')
+];
+
+const SUBMISSION_ERRORS = {
+  not_registered: [404, 'You are not registered yet'],
+  banned: [403, 'This account is banned'],
+  pending_review: [403, 'Your registration is still being reviewed'],
+  not_found: [404, 'Raid not found'],
+  not_open: [409, 'This raid is not accepting submissions'],
+  invalid_proof: [400, 'proof_url must link to your own tweet on twitter.com or x.com'],
+  handle_mismatch: [403, 'The proof tweet was not posted by your Twitter account'],
+  full: [409, 'This raid has reached its participant cap'],
+  already_submitted: [409, 'You already submitted proof for this raid'],
+  proof_used: [409, 'This tweet has already been submitted as proof']
+};
+
+/**
+ * @swagger
+ * /api/raids:
+ *   get:
+ *     tags: [Raids]
+ *     summary: List open raid campaigns
+ *     description: Active campaigns whose time window includes now
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Open campaigns
+ */
+router.get('/raids', validatePageQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const raids = await listCampaigns({ openOnly: true, limit, offset });
+    res.json({ success: true, raids, pagination: { limit, offset } });
+  } catch (error) {
+    logger.error('Failed to list raids', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/raids/{id}:
+ *   get:
+ *     tags: [Raids]
+ *     summary: Get a raid campaign
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Campaign with approved and pending submission counts
+ *       404:
+ *         description: Raid not found
+ */
+router.get('/raids/:id', validateCampaignId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const raid = await getCampaign(req.params.id);
+    if (!raid) {
+      return res.status(404).json({ error: 'Raid not found' });
+    }
+    res.json({ success: true, raid });
+  } catch (error) {
+    logger.error('Failed to fetch raid', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/raids/{id}/submissions:
+ *   post:
+ *     tags: [Raids]
+ *     summary: Submit proof for a raid
+ *     description: Requires the Twitter session. The proof must be a tweet posted by the session's Twitter account while the raid is open. One submission per user per raid, and each tweet can be used once.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [proof_url]
+ *             properties:
+ *               proof_url:
+ *                 type: string
+ *                 example: https://x.com/madcat_fan/status/1790000000000000000
+ *     responses:
+ *       201:
+ *         description: Submission recorded and pending review
+ *       400:
+ *         description: Invalid proof URL
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       403:
+ *         description: Banned or held for review, or the tweet belongs to another account
+ *       404:
+ *         description: Raid not found or not registered
+ *       409:
+ *         description: Raid closed or full, already submitted, or tweet already used
+ */
+router.post('/raids/:id/submissions', requireTwitterSession, validateSubmission, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await submitRaidProof(req.twitterSession.twitter_id, req.params.id, req.body.proof_url);
+    if (result.status !== 'submitted') {
+      const [status, message] = SUBMISSION_ERRORS[result.status];
+      return res.status(status).json({ error: message });
+    }
+
+    await recordAuditEvent(req, {
+      action: 'raid.submit',
+      targetType: 'raid_submission',
+      targetId: result.submission.id,
+      after: result.submission
+    });
+    res.status(201).json({ success: true, submission: result.submission });
+  } catch (error) {
+    logger.error('Failed to submit raid proof', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/raids:
+ *   get:
+ *     tags: [Raids]
+ *     summary: Your raid submissions
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Submissions with their review status, newest first
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       404:
+ *         description: Not registered
+ */
+router.get('/me/raids', requireTwitterSession, validatePageQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await getProfileByTwitterId(req.twitterSession.twitter_id);
+    if (!user) {
+      return res.status(404).json({ error: 'You are not registered yet' });
+    }
+    const { limit = 50, offset = 0 } = req.query;
+    const submissions = await listUserSubmissions(user.id, { limit, offset });
+    res.json({ success: true, submissions, pagination: { limit, offset } });
+  } catch (error) {
+    logger.error('Failed to fetch raid submissions', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
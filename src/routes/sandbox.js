@@ -0,0 +1,133 @@
+import express from 'express';
+import crypto from 'crypto';
+import { body, query, validationResult } from 'express-validator';
+import {
+  TWITTER_HANDLE_PATTERN,
+  getSandboxIdentities,
+  createSandboxTelegramLogin
+} from '../services/twitterSandbox.js';
+import { logger } from '../utils/logger.js';
+
+// Offline login helpers, only mounted when TWITTER_AUTH_FLOW=sandbox (never in production)
+
+const router = express.Router();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const validateAuthorizePage = [
+  query('state')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('state is required')
+];
+
+const validateTelegramLogin = [
+  body('username')
+    .matches(/^[A-Za-z0-9_]{5,32}$/)
+    .withMessage('username must be 5-32 letters, numbers or underscores'),
+
+  body('id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('id must be a positive integer')
+    .toInt()
+];
+
+/**
+ * @swagger
+ * /api/sandbox/twitter/authorize:
+ *   get:
+ *     tags: [Sandbox]
+ *     summary: Fake Twitter consent page (sandbox only)
+ *     description: The auth_url returned by /api/auth/twitter when TWITTER_AUTH_FLOW=sandbox. Lists fake identities; choosing one continues to /api/auth/twitter/callback with `state` and `twitter_username`. Tests can call the callback with those parameters directly, optionally adding `account_created_at`, `followers_count`, `following_count`, `tweet_count`, `default_profile_image` or `verified` to exercise the registration risk rules; by default sandbox accounts look established.
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML login page
+ */
+router.get('/twitter/authorize', validateAuthorizePage, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const state = encodeURIComponent(req.query.state);
+  const callback = '/api/auth/twitter/callback';
+  const identities = getSandboxIdentities()
+    .map((identity) => {
+      const href = `${callback}?state=${state}&twitter_username=${encodeURIComponent(identity.twitter_username)}`;
+      return `<li><a href="${escapeHtml(href)}">@${escapeHtml(identity.twitter_username)}</a> <small>${escapeHtml(identity.twitter_id)}</small></li>`;
+    })
+    .join('\n');
+
+  res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Sandbox Twitter login</title></head>
+<body>
+<h1>Sandbox Twitter login</h1>
+<p>This server runs with TWITTER_AUTH_FLOW=sandbox. No request is sent to Twitter.</p>
+<ul>
+${identities}
+</ul>
+<form method="get" action="${callback}">
+<input type="hidden" name="state" value="${escapeHtml(req.query.state)}">
+<input name="twitter_username" pattern="${TWITTER_HANDLE_PATTERN.source.slice(1, -1)}" placeholder="any_handle" required>
+<button type="submit">Sign in as this handle</button>
+</form>
+<p><a href="${callback}?state=${state}&amp;denied=1">Cancel</a></p>
+</body>
+</html>`);
+});
+
+/**
+ * @swagger
+ * /api/sandbox/telegram-login:
+ *   post:
+ *     tags: [Sandbox]
+ *     summary: Signed Telegram Login Widget data (sandbox only)
+ *     description: Returns a telegram_auth object signed with TELEGRAM_BOT_TOKEN that /api/register and /api/me/telegram accept. Without an id, the same username always gets the same id.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Signed widget data
+ */
+router.post('/telegram-login', validateTelegramLogin, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { username } = req.body;
+    const id = req.body.id
+      || crypto.createHash('sha256').update(username.toLowerCase()).digest().readUInt32BE(0) + 1;
+    res.json({ telegram_auth: createSandboxTelegramLogin({ id, username }) });
+  } catch (error) {
+    logger.error('Failed to create sandbox Telegram login', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
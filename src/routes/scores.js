@@ -0,0 +1,175 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { XP_SOURCES, SCORING_RULES } from '../config/scoring.js';
+import { findUserByWallet, getScoreBreakdown, getScoreHistory } from '../services/scoring.js';
+import { detectWalletChain } from '../utils/walletAddress.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const validateWalletParam = [
+  param('wallet_address')
+    .custom((value) => detectWalletChain(value) !== null)
+    .withMessage('Invalid wallet address: expected an EVM, Solana or Bitcoin (bc1q) address')
+];
+
+const validateHistoryQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer')
+    .toInt(),
+
+  query('source')
+    .optional()
+    .isIn(XP_SOURCES)
+    .withMessage(`source must be one of: ${XP_SOURCES.join(', ')}`)
+];
+
+/**
+ * @swagger
+ * /api/scores/rules:
+ *   get:
+ *     tags: [Scores]
+ *     summary: Get the active scoring rules
+ *     description: Returns the weight and cap applied to each XP category when computing total_score
+ *     responses:
+ *       200:
+ *         description: Scoring rules
+ */
+router.get('/scores/rules', (req, res) => {
+  res.json({
+    success: true,
+    formula: 'total_score = sum(min(category_xp, cap) * weight)',
+    rules: SCORING_RULES
+  });
+});
+
+/**
+ * @swagger
+ * /api/scores/{wallet_address}:
+ *   get:
+ *     tags: [Scores]
+ *     summary: Get a user's score breakdown
+ *     parameters:
+ *       - in: path
+ *         name: wallet_address
+ *         required: true
+ *         description: Any wallet linked to the user - EVM, Solana or Bitcoin
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Score breakdown derived from the XP ledger
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 score:
+ *                   $ref: '#/components/schemas/Score'
+ *       400:
+ *         description: Invalid wallet address
+ *       404:
+ *         description: User not registered
+ *       500:
+ *         description: Failed to fetch score
+ */
+router.get('/scores/:wallet_address', validateWalletParam, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await findUserByWallet(req.params.wallet_address);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const score = await getScoreBreakdown(user);
+    res.json({ success: true, score });
+  } catch (error) {
+    logger.error('Failed to fetch score', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scores/{wallet_address}/history:
+ *   get:
+ *     tags: [Scores]
+ *     summary: Get a user's XP history
+ *     parameters:
+ *       - in: path
+ *         name: wallet_address
+ *         required: true
+ *         description: Any wallet linked to the user - EVM, Solana or Bitcoin
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [twitter, telegram, trading]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: XP events, newest first
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: User not registered
+ *       500:
+ *         description: Failed to fetch history
+ */
+router.get('/scores/:wallet_address/history', validateWalletParam, validateHistoryQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const user = await findUserByWallet(req.params.wallet_address);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { limit = 50, offset = 0, source } = req.query;
+    const { events, total } = await getScoreHistory(user, { limit, offset, source });
+    res.json({
+      success: true,
+      events,
+      pagination: { limit, offset, total }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch score history', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
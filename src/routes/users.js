@@ -1,212 +1,31 @@
-// ...existing code...
-
-// ...existing code...
-
-// Place leaderboard endpoints after router is initialized and other routes
-const router = express.Router();
-/**
- * @swagger
- * /api/top-raiders:
- *   get:
- *     tags: [Leaderboard]
- *     summary: Get top raiders
- *     description: Returns the top 10 raiders with mock data
- *     responses:
- *       200:
- *         description: List of top raiders
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       rank:
- *                         type: integer
- *                       raider:
- *                         type: string
- *                       score:
- *                         type: integer
- */
-router.get('/top-raiders', (req, res) => {
-  res.json({
-    data: [
-      { rank: 1, raider: 'RaiderAlpha', score: 980 },
-      { rank: 2, raider: 'RaiderBeta', score: 870 },
-      { rank: 3, raider: 'RaiderGamma', score: 820 },
-      { rank: 4, raider: 'RaiderDelta', score: 800 },
-      { rank: 5, raider: 'RaiderEpsilon', score: 780 },
-      { rank: 6, raider: 'RaiderZeta', score: 760 },
-      { rank: 7, raider: 'RaiderEta', score: 740 },
-      { rank: 8, raider: 'RaiderTheta', score: 720 },
-      { rank: 9, raider: 'RaiderIota', score: 700 },
-      { rank: 10, raider: 'RaiderKappa', score: 680 }
-    ]
-  });
-});
-
-/**
- * @swagger
- * /api/top-whales:
- *   get:
- *     tags: [Leaderboard]
- *     summary: Get top whales
- *     description: Returns the top 10 whales with mock data
- *     responses:
- *       200:
- *         description: List of top whales
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       rank:
- *                         type: integer
- *                       raider:
- *                         type: string
- *                       score:
- *                         type: integer
- */
-router.get('/top-whales', (req, res) => {
-  res.json({
-    data: [
-      { rank: 1, raider: 'WhaleKing', score: 15000 },
-      { rank: 2, raider: 'WhaleQueen', score: 12000 },
-      { rank: 3, raider: 'WhalePrince', score: 11000 },
-      { rank: 4, raider: 'WhaleDuke', score: 10500 },
-      { rank: 5, raider: 'WhaleBaron', score: 10000 },
-      { rank: 6, raider: 'WhaleKnight', score: 9500 },
-      { rank: 7, raider: 'WhaleSquire', score: 9000 },
-      { rank: 8, raider: 'WhaleLord', score: 8500 },
-      { rank: 9, raider: 'WhaleMaster', score: 8000 },
-      { rank: 10, raider: 'WhaleRookie', score: 7500 }
-    ]
-  });
-});
-
-/**
- * @swagger
- * /api/loyalty-ranking:
- *   get:
- *     tags: [Leaderboard]
- *     summary: Get loyalty ranking
- *     description: Returns the top 10 loyalty ranking with mock data
- *     responses:
- *       200:
- *         description: List of loyalty ranking
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       rank:
- *                         type: integer
- *                       raider:
- *                         type: string
- *                       score:
- *                         type: integer
- */
-router.get('/loyalty-ranking', (req, res) => {
-  res.json({
-    data: [
-      { rank: 1, raider: 'LoyalLion', score: 365 },
-      { rank: 2, raider: 'FaithfulFox', score: 340 },
-      { rank: 3, raider: 'SteadyStag', score: 320 },
-      { rank: 4, raider: 'DevotedDog', score: 310 },
-      { rank: 5, raider: 'TrueTiger', score: 300 },
-      { rank: 6, raider: 'ConstantCat', score: 290 },
-      { rank: 7, raider: 'ReliableRabbit', score: 280 },
-      { rank: 8, raider: 'PersistentPenguin', score: 270 },
-      { rank: 9, raider: 'EnduringEagle', score: 260 },
-      { rank: 10, raider: 'UnwaveringUrial', score: 250 }
-    ]
-  });
-});
-
-
-
 import express from 'express';
-import fetch from 'node-fetch';
 import { body, validationResult } from 'express-validator';
 import { pool } from '../config/database.js';
+import { createWalletChallenge, verifyWalletChallenge } from '../services/walletAuth.js';
+import { verifyTelegramLogin } from '../services/telegramAuth.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { REFERRAL_CODE_PATTERN, linkReferral } from '../services/referrals.js';
+import { insertWallet, attachWallets } from '../services/wallets.js';
+import { assessRegistration } from '../services/registrationRisk.js';
+import { recordTwitterLogin, claimTwitterLogin } from '../services/twitterProfiles.js';
 import {
-  oauth,
-  TWITTER_REQUEST_TOKEN_URL,
-  TWITTER_AUTHORIZE_URL,
-  TWITTER_ACCESS_TOKEN_URL,
-  TWITTER_USER_INFO_URL,
-  FRONTEND_URL
-} from '../config/twitter.js';
-
-
-
-// Place leaderboard endpoints after router is initialized
-// Top Raiders (Mock Data, 10 records)
-router.get('/top-raiders', (req, res) => {
-  res.json({
-    data: [
-      { rank: 1, raider: 'RaiderAlpha', score: 980 },
-      { rank: 2, raider: 'RaiderBeta', score: 870 },
-      { rank: 3, raider: 'RaiderGamma', score: 820 },
-      { rank: 4, raider: 'RaiderDelta', score: 800 },
-      { rank: 5, raider: 'RaiderEpsilon', score: 780 },
-      { rank: 6, raider: 'RaiderZeta', score: 760 },
-      { rank: 7, raider: 'RaiderEta', score: 740 },
-      { rank: 8, raider: 'RaiderTheta', score: 720 },
-      { rank: 9, raider: 'RaiderIota', score: 700 },
-      { rank: 10, raider: 'RaiderKappa', score: 680 }
-    ]
-  });
-});
-
-// Top Whales (Mock Data, 10 records)
-router.get('/top-whales', (req, res) => {
-  res.json({
-    data: [
-      { rank: 1, raider: 'WhaleKing', score: 15000 },
-      { rank: 2, raider: 'WhaleQueen', score: 12000 },
-      { rank: 3, raider: 'WhalePrince', score: 11000 },
-      { rank: 4, raider: 'WhaleDuke', score: 10500 },
-      { rank: 5, raider: 'WhaleBaron', score: 10000 },
-      { rank: 6, raider: 'WhaleKnight', score: 9500 },
-      { rank: 7, raider: 'WhaleSquire', score: 9000 },
-      { rank: 8, raider: 'WhaleLord', score: 8500 },
-      { rank: 9, raider: 'WhaleMaster', score: 8000 },
-      { rank: 10, raider: 'WhaleRookie', score: 7500 }
-    ]
-  });
-});
+  issueTwitterSession,
+  createLoginCode,
+  redeemLoginCode,
+  clearTwitterSession,
+  readTwitterSession,
+  readSessionToken,
+  requireAppOrigin,
+  requireTwitterSession
+} from '../middleware/twitterSession.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { validateTelegramAuth, validateWalletAddress, validateWalletProof } from '../middleware/validation.js';
+import { getTwitterCallbackUrl, FRONTEND_URL, TWITTER_AUTH_FLOW } from '../config/twitter.js';
+import { recordTwitterOAuthStart, recordTwitterOAuthCallback, recordRegistration } from '../services/metrics.js';
+import { getTwitterAuthProvider } from '../services/twitterAuth.js';
+import { logger } from '../utils/logger.js';
 
-// Loyalty Ranking (Mock Data, 10 records)
-router.get('/loyalty-ranking', (req, res) => {
-  res.json({
-    data: [
-      { rank: 1, raider: 'LoyalLion', score: 365 },
-      { rank: 2, raider: 'FaithfulFox', score: 340 },
-      { rank: 3, raider: 'SteadyStag', score: 320 },
-      { rank: 4, raider: 'DevotedDog', score: 310 },
-      { rank: 5, raider: 'TrueTiger', score: 300 },
-      { rank: 6, raider: 'ConstantCat', score: 290 },
-      { rank: 7, raider: 'ReliableRabbit', score: 280 },
-      { rank: 8, raider: 'PersistentPenguin', score: 270 },
-      { rank: 9, raider: 'EnduringEagle', score: 260 },
-      { rank: 10, raider: 'UnwaveringUrial', score: 250 }
-    ]
-  });
-});
+const router = express.Router();
 
 /**
  * @swagger
@@ -214,7 +33,7 @@ router.get('/loyalty-ranking', (req, res) => {
  *   get:
  *     tags: [Authentication]
  *     summary: Initiates Twitter OAuth flow
- *     description: Starts the Twitter OAuth process by getting a request token
+ *     description: Starts the Twitter login selected by TWITTER_AUTH_FLOW - OAuth 1.0a (request token) or OAuth 2.0 Authorization Code with PKCE. Both flows return to the same callback and redirect to the frontend the same way.
  *     responses:
  *       200:
  *         description: Successfully initiated OAuth flow
@@ -233,227 +52,251 @@ router.get('/loyalty-ranking', (req, res) => {
 // Twitter OAuth Flow
 router.get('/auth/twitter', async (req, res) => {
   try {
-    console.log('🚀 Twitter OAuth endpoint hit');
-    console.log('Environment:', process.env.NODE_ENV);
-    console.log('Request headers:', req.headers);
-    
-    // Check if we have valid Twitter API credentials
-    if (!oauth) {
-      console.error('❌ OAuth not configured');
-      return res.status(500).json({ 
-        error: 'Twitter API credentials not configured. Please add TWITTER_API_KEY and TWITTER_API_SECRET to your environment variables.' 
-      });
-    }
-
-    console.log('Starting Twitter OAuth flow...');
-    // Use environment-based callback URL for development/production
-    let baseUrl = process.env.NODE_ENV === 'production' 
-      ? process.env.BACKEND_URL || 'https://madcatsuite-production-7b53.up.railway.app'
-      : 'http://localhost:3001';
-    
-    // Clean the base URL to avoid duplicates
-    baseUrl = baseUrl.replace(/\/+$/, ''); // Remove trailing slashes
-    if (baseUrl.includes('/api')) {
-      // If BACKEND_URL accidentally includes path, extract just the domain
-      baseUrl = baseUrl.split('/api')[0];
-    }
-    
-    const callback_url = `${baseUrl}/api/auth/twitter/callback`;
-    console.log('Base URL:', baseUrl);
-    console.log('Callback URL:', callback_url);
-    
-    const requestData = {
-      url: TWITTER_REQUEST_TOKEN_URL,
-      method: 'POST',
-      data: { oauth_callback: callback_url }
-    };
-
-    console.log('OAuth request data:', requestData);
-    const authHeader = oauth.authorize(requestData);
-    console.log('OAuth authorization generated');
-    
-    const headers = oauth.toHeader(authHeader);
-    console.log('Request headers prepared');
-
-    console.log('Making request to Twitter API...');
-    const response = await fetch(TWITTER_REQUEST_TOKEN_URL, {
-      method: 'POST',
-      headers: {
-        ...headers,
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body: new URLSearchParams({ oauth_callback: callback_url })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Twitter API error:', {
-        status: response.status,
-        statusText: response.statusText,
-        body: errorText
-      });
-      throw new Error(`Failed to get request token: ${errorText}`);
+    const provider = getTwitterAuthProvider();
+    if (!provider.isConfigured()) {
+      logger.error('Twitter OAuth is not configured', { detail: provider.configurationError });
+      return res.status(500).json({ error: provider.configurationError });
     }
 
-    const text = await response.text();
-    const tokenData = new URLSearchParams(text);
-    const oauth_token = tokenData.get('oauth_token');
-    const oauth_token_secret = tokenData.get('oauth_token_secret');
-
-    if (!oauth_token || !oauth_token_secret) {
-      throw new Error('Invalid response from Twitter');
-    }
-
-    // Store token secret temporarily in a Map instead of session (for simplicity)
-    // In production, you might want to use Redis or another storage solution
-    global.tempTokenStorage = global.tempTokenStorage || new Map();
-    global.tempTokenStorage.set(oauth_token, oauth_token_secret);
-    
-    const auth_url = `${TWITTER_AUTHORIZE_URL}?oauth_token=${oauth_token}`;
-    console.log('✅ Generated auth_url:', auth_url);
+    const callback_url = getTwitterCallbackUrl();
+    const auth_url = await provider.startAuthorization(callback_url);
+    logger.debug('Twitter authorization started', { callback_url });
+    recordTwitterOAuthStart(TWITTER_AUTH_FLOW);
     res.json({ auth_url });
   } catch (error) {
-    console.error('OAuth initiation failed:', error);
+    logger.error('OAuth initiation failed', { error });
     res.status(500).json({ error: error.message });
   }
 });
 
-
-
-// Handle GET callback from Twitter (redirect from Twitter OAuth)
+// Handle GET callback from Twitter (redirect from Twitter OAuth).
+// Both flows redirect to the frontend the same way: ?auth=success&... or ?error=<code>.
 router.get('/auth/twitter/callback', async (req, res) => {
   try {
-    const { oauth_token, oauth_verifier } = req.query;
-
-    if (!oauth_token || !oauth_verifier) {
-      return res.redirect(`${FRONTEND_URL}?error=missing_oauth_params`);
+    const result = await getTwitterAuthProvider().completeAuthorization(req.query);
+    if (result.error) {
+      recordTwitterOAuthCallback(TWITTER_AUTH_FLOW, result.error);
+      return res.redirect(`${FRONTEND_URL}?error=${result.error}`);
     }
 
-    // Get token secret from temporary storage instead of session
-    const oauth_token_secret = global.tempTokenStorage?.get(oauth_token);
-    if (!oauth_token_secret) {
-      return res.redirect(`${FRONTEND_URL}?error=invalid_token`);
+    const { identity } = result;
+    logger.info('Twitter OAuth completed', { twitter_id: identity.twitter_id, twitter_username: identity.twitter_username });
+
+    // Keep the profile snapshot and tokens; a failure here must not block the login
+    try {
+      await recordTwitterLogin(TWITTER_AUTH_FLOW, identity, result.credentials);
+    } catch (error) {
+      logger.error('Failed to record Twitter profile', { twitter_id: identity.twitter_id, error });
     }
 
-    // Clean up temporary storage
-    global.tempTokenStorage?.delete(oauth_token);
-
-    // Exchange for access token
-    const requestData = {
-      url: TWITTER_ACCESS_TOKEN_URL,
-      method: 'POST',
-      data: { oauth_verifier }
-    };
-
-    const token = {
-      key: oauth_token,
-      secret: oauth_token_secret
-    };
-
-    const headers = oauth.toHeader(oauth.authorize(requestData, token));
-    const response = await fetch(TWITTER_ACCESS_TOKEN_URL, {
-      method: 'POST',
-      headers: {
-        ...headers,
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body: new URLSearchParams({ oauth_verifier })
+    // Record the verified identity in a signed session; /register only trusts that session.
+    // The display fields below are for the frontend UI and are never read back. The token
+    // itself never goes into the URL, only a one-time code for it.
+    const session_token = issueTwitterSession(res, {
+      twitter_id: identity.twitter_id,
+      twitter_username: identity.twitter_username,
+      twitter_name: identity.twitter_name,
+      account: identity.account
     });
 
-    if (!response.ok) {
-      return res.redirect(`${FRONTEND_URL}?error=access_token_failed`);
-    }
+    const userParams = new URLSearchParams({
+      auth: 'success',
+      twitter_id: identity.twitter_id,
+      twitter_username: identity.twitter_username,
+      twitter_name: identity.twitter_name,
+      profile_image: identity.profile_image || '',
+      login_code: await createLoginCode(session_token)
+    });
 
-    const text = await response.text();
-    const accessData = new URLSearchParams(text);
-    const access_token = accessData.get('oauth_token');
-    const access_token_secret = accessData.get('oauth_token_secret');
+    recordTwitterOAuthCallback(TWITTER_AUTH_FLOW);
 
-    if (!access_token || !access_token_secret) {
-      return res.redirect(`${FRONTEND_URL}?error=invalid_access_token`);
-    }
+    // Redirect back to frontend with user data
+    res.redirect(`${FRONTEND_URL}?${userParams.toString()}`);
+  } catch (error) {
+    logger.error('Callback processing failed', { error });
+    recordTwitterOAuthCallback(TWITTER_AUTH_FLOW, 'callback_failed');
+    res.redirect(`${FRONTEND_URL}?error=callback_failed`);
+  }
+});
 
-    // Get user info
-    const userRequestData = {
-      url: TWITTER_USER_INFO_URL,
-      method: 'GET'
-    };
+/**
+ * @swagger
+ * /api/auth/twitter/session:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get the verified Twitter identity
+ *     description: Returns the Twitter identity recorded by the OAuth callback. The session is read from the HttpOnly cookie or an `Authorization Bearer` header carrying the `session_token` obtained with the callback's `login_code`.
+ *     responses:
+ *       200:
+ *         description: Active Twitter session
+ *       401:
+ *         description: No valid Twitter session
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Exchange the callback's login code for the session token
+ *     description: The OAuth callback redirects to the frontend with a one-time `login_code` instead of the session token. Exchanging it returns the token for use as an `Authorization Bearer` header, for browsers that block the third-party session cookie. Each code works once, within 5 minutes of the login.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [login_code]
+ *             properties:
+ *               login_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session token and the session it carries
+ *       400:
+ *         description: Missing login code
+ *       401:
+ *         description: Unknown, expired or already used login code
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Sign out of the Twitter session
+ *     responses:
+ *       200:
+ *         description: Session cookie cleared
+ *       403:
+ *         description: Sent with the session cookie from a page outside the app
+ */
+router.get('/auth/twitter/session', (req, res) => {
+  const session = readTwitterSession(req);
+  if (!session) {
+    return res.status(401).json({ error: 'No active Twitter session' });
+  }
+  res.json({ success: true, session });
+});
 
-    const userToken = {
-      key: access_token,
-      secret: access_token_secret
-    };
+const validateLoginCode = [
+  body('login_code')
+    .isString()
+    .withMessage('login_code must be a string')
+    .notEmpty()
+    .withMessage('login_code is required')
+];
 
-    const userHeaders = oauth.toHeader(oauth.authorize(userRequestData, userToken));
-    const userResponse = await fetch(TWITTER_USER_INFO_URL, {
-      headers: userHeaders
+router.post('/auth/twitter/session', validateLoginCode, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
     });
+  }
 
-    if (!userResponse.ok) {
-      return res.redirect(`${FRONTEND_URL}?error=user_info_failed`);
+  try {
+    const sessionToken = await redeemLoginCode(req.body.login_code);
+    const session = sessionToken ? readSessionToken(sessionToken) : null;
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired login code' });
     }
+    res.json({ success: true, session_token: sessionToken, session });
+  } catch (error) {
+    logger.error('Login code exchange failed', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const userData = await userResponse.json();
-    
-    console.log('Twitter OAuth callback - received user data:', userData);
-    
-    // Instead of storing in session, redirect with user data as URL parameters
-    const userParams = new URLSearchParams({
-      auth: 'success',
-      twitter_id: userData.id_str,
-      twitter_username: userData.screen_name,
-      twitter_name: userData.name,
-      profile_image: userData.profile_image_url_https
+router.delete('/auth/twitter/session', requireAppOrigin, (req, res) => {
+  clearTwitterSession(res);
+  res.json({ success: true });
+});
+
+/**
+ * @swagger
+ * /api/auth/wallet/challenge:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Request a wallet ownership challenge
+ *     description: Returns a one-time message that must be signed by the wallet and sent to `/api/register` or `/api/me/wallets` together with the nonce - with EIP-191 `personal_sign` on EVM, `signMessage` on Solana, or as a BIP-137 signed message on Bitcoin. Each nonce expires after `WALLET_CHALLENGE_TTL_MINUTES` and can only be used once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wallet_address
+ *             properties:
+ *               wallet_chain:
+ *                 type: string
+ *                 enum: [evm, solana, bitcoin]
+ *                 default: evm
+ *               wallet_address:
+ *                 type: string
+ *                 description: Address on wallet_chain; Bitcoin addresses must be native SegWit (bc1q)
+ *     responses:
+ *       200:
+ *         description: Challenge created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nonce:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                   description: Exact message to sign
+ *                 chain:
+ *                   type: string
+ *                 wallet_address:
+ *                   type: string
+ *                   description: The address in its normalized form, as it will be stored
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid wallet address
+ */
+router.post('/auth/wallet/challenge', validateWalletAddress, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
     });
+  }
 
-    // Redirect back to frontend with user data
-    res.redirect(`${FRONTEND_URL}?${userParams.toString()}`);
+  try {
+    const challenge = await createWalletChallenge(req.body.wallet_chain || 'evm', req.body.wallet_address);
+    res.json({ success: true, ...challenge });
   } catch (error) {
-    console.error('Callback processing failed:', error);
-    res.redirect(`${FRONTEND_URL}?error=callback_failed`);
+    logger.error('Failed to create wallet challenge', { error });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Validation middleware for registration
+// Validation middleware for registration. Twitter fields are not accepted from the body:
+// they come from the signed session issued by the OAuth callback.
 const validateRegistration = [
-  body('twitter_id')
-    .notEmpty()
-    .withMessage('Twitter ID is required')
-    .isNumeric()
-    .withMessage('Twitter ID must be numeric')
-    .isLength({ min: 1, max: 20 })
-    .withMessage('Twitter ID must be between 1 and 20 characters'),
-  
-  body('twitter_username')
+  ...validateTelegramAuth,
+  ...validateWalletProof,
+
+  body('referral_code')
     .optional()
-    .isLength({ min: 1, max: 25 })
-    .withMessage('Twitter username must be between 1 and 15 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Twitter username can only contain letters, numbers, and underscores'),
-   
-  body('telegram_username')
-    .notEmpty()
-    .withMessage('Telegram username is required')
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Telegram username must be between 1 and 50 characters')
-    .trim(),
-  
-  body('wallet_address')
-    .notEmpty()
-    .withMessage('Wallet address is required')
-    .isLength({ min: 42, max: 42 })
-    .withMessage('Wallet address must be exactly 42 characters')
-    .matches(/^0x[a-fA-F0-9]{40}$/)
-    .withMessage('Invalid Ethereum wallet address format')
+    .trim()
+    .toUpperCase()
+    .matches(REFERRAL_CODE_PATTERN)
+    .withMessage('Invalid referral code format')
 ];
 
+const REFERRAL_ERRORS = {
+  invalid_code: 'Referral code not found',
+  self: 'You cannot refer yourself',
+  cycle: 'Referral would create a cycle',
+  already_referred: 'User already has a referrer'
+};
+
 /**
  * @swagger
  * /api/register:
  *   post:
  *     tags: [Users]
  *     summary: Register a new user
- *     description: Register a user with Twitter and Telegram information
+ *     description: Register the Twitter account from the signed session issued by the OAuth callback together with Telegram and wallet information. Requests without a valid session are rejected. The wallet becomes the user's primary wallet on its chain; more can be linked later through /api/me/wallets. Each registration gets a risk score from the Twitter account and the registering IP; risky ones are held for admin review (status `pending_review`) or refused.
  *     requestBody:
  *       required: true
  *       content:
@@ -461,137 +304,264 @@ const validateRegistration = [
  *           schema:
  *             type: object
  *             required:
- *               - twitter_id
- *               - telegram_username
+ *               - telegram_auth
  *               - wallet_address
+ *               - wallet_nonce
+ *               - wallet_signature
  *             properties:
- *               twitter_id:
+ *               telegram_auth:
+ *                 type: object
+ *                 description: Data returned by the Telegram Login Widget, passed through unchanged
+ *                 required: [id, username, auth_date, hash]
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   first_name:
+ *                     type: string
+ *                   last_name:
+ *                     type: string
+ *                   username:
+ *                     type: string
+ *                   photo_url:
+ *                     type: string
+ *                   auth_date:
+ *                     type: integer
+ *                   hash:
+ *                     type: string
+ *               wallet_chain:
  *                 type: string
- *                 description: Twitter ID of the user
- *               twitter_username:
+ *                 enum: [evm, solana, bitcoin]
+ *                 default: evm
+ *               wallet_address:
  *                 type: string
- *                 description: Twitter username
- *               twitter_name:
+ *                 description: Address on wallet_chain
+ *               wallet_nonce:
  *                 type: string
- *                 description: Twitter display name
- *               telegram_username:
+ *                 description: Nonce from /api/auth/wallet/challenge
+ *               wallet_signature:
  *                 type: string
- *                 description: Telegram username
- *               wallet_address:
+ *                 description: Signature of the challenge message, in the chain's format (0x hex on EVM, base58 on Solana, base64 on Bitcoin)
+ *               referral_code:
  *                 type: string
- *                 description: Ethereum wallet address
+ *                 description: Optional referral code of the user who invited this one
  *     responses:
  *       200:
- *         description: User successfully registered
+ *         description: User registered, or held for review when `user.status` is `pending_review`
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
  *       400:
- *         description: User already registered
+ *         description: User already registered, or the referral code is unknown, the user's own or would create a cycle
+ *       401:
+ *         description: Missing or expired Twitter session
+ *       403:
+ *         description: Wallet ownership or Telegram login could not be verified, or the registration was refused as too risky
  *       500:
  *         description: Registration failed
  */
 // User Registration
-router.post('/register', validateRegistration, async (req, res) => {
+router.post('/register', requireTwitterSession, validateRegistration, async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
+    recordRegistration('validation_failed');
     return res.status(400).json({
       error: 'Validation failed',
       details: errors.array()
     });
   }
 
-  const client = await pool.connect();
+  const { wallet_chain = 'evm', wallet_address, wallet_nonce, wallet_signature, telegram_auth, referral_code } = req.body;
+
+  let telegramProof;
   try {
-    const { twitter_id, twitter_username, twitter_name, telegram_username, wallet_address } = req.body;
+    telegramProof = verifyTelegramLogin(telegram_auth);
+  } catch (error) {
+    logger.error('Telegram verification failed', { error });
+    recordRegistration('error');
+    return res.status(500).json({ error: error.message });
+  }
 
-    console.log('Registration request:', { twitter_id, twitter_username, twitter_name, telegram_username, wallet_address });
+  if (!telegramProof.valid) {
+    await recordAuditEvent(req, {
+      action: 'user.register_rejected',
+      targetType: 'user',
+      metadata: { reason: 'telegram_verification_failed', detail: telegramProof.error }
+    });
+    recordRegistration('telegram_rejected');
+    return res.status(403).json({ error: 'Telegram verification failed', message: telegramProof.error });
+  }
 
-    // Additional server-side validation for security
-    if (!twitter_id || !telegram_username || !wallet_address) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: twitter_id, telegram_username, and wallet_address are required' 
-      });
-    }
+  let walletProof;
+  try {
+    walletProof = await verifyWalletChallenge({
+      chain: wallet_chain,
+      walletAddress: wallet_address,
+      nonce: wallet_nonce,
+      signature: wallet_signature
+    });
+  } catch (error) {
+    logger.error('Wallet verification failed', { error });
+    recordRegistration('error');
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!walletProof.valid) {
+    await recordAuditEvent(req, {
+      action: 'user.register_rejected',
+      targetType: 'user',
+      metadata: { reason: 'wallet_verification_failed', detail: walletProof.error, wallet_chain, wallet_address }
+    });
+    recordRegistration('wallet_rejected');
+    return res.status(403).json({ error: 'Wallet verification failed', message: walletProof.error });
+  }
 
-    // Check if user exists by any unique identifier
+  // Connecting inside the try, so an unavailable database answers 500 rather than rejecting
+  let client;
+  // The duplicate and risk checks run before BEGIN; only roll back once it has been issued
+  let inTransaction = false;
+  try {
+    client = await pool.connect();
+    const { twitter_id, twitter_username, twitter_name } = req.twitterSession;
+    const { telegram_user_id, telegram_username } = telegramProof.telegram;
+
+    const { chain, address } = walletProof;
+
+    // Check if user exists by any unique identifier, including a wallet linked after registering
     const existingUser = await client.query(
-      'SELECT * FROM user_profiles WHERE twitter_id = $1 OR telegram_username = $2 OR wallet_address = $3',
-      [twitter_id, telegram_username, wallet_address]
+      `SELECT * FROM user_profiles
+       WHERE twitter_id = $1 OR telegram_user_id = $2 OR telegram_username = $3
+         OR id IN (SELECT user_id FROM user_wallets WHERE chain = $4 AND address = $5)`,
+      [twitter_id, telegram_user_id, telegram_username, chain, address]
     );
 
     if (existingUser.rows.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'user.register_rejected',
+        targetType: 'user',
+        targetId: existingUser.rows[0].id,
+        metadata: { reason: 'already_registered', wallet_chain: chain, wallet_address: address, telegram_user_id }
+      });
+      recordRegistration('duplicate');
       return res.status(400).json({ error: 'User already registered with this Twitter, Telegram, or wallet address' });
     }
 
-    // Create new user in user_profiles table
+    const account = req.twitterSession.account || {};
+    const risk = await assessRegistration({ account: req.twitterSession.account, ip: req.ip }, client);
+    if (risk.decision === 'reject') {
+      logger.warn('Registration refused by risk rules', { twitter_id, score: risk.score, reasons: risk.reasons });
+      await recordAuditEvent(req, {
+        action: 'user.register_rejected',
+        targetType: 'user',
+        metadata: { reason: 'risk_rejected', twitter_id, score: risk.score, reasons: risk.reasons, signals: risk.signals }
+      });
+      recordRegistration('risk_rejected');
+      return res.status(403).json({
+        error: 'Registration refused',
+        message: 'This registration could not be accepted. Contact support if you think this is a mistake.'
+      });
+    }
+
+    // Create new user in user_profiles table; the wallet and referral link are part of the
+    // same transaction. wallet_address mirrors the primary EVM wallet only.
+    await client.query('BEGIN');
+    inTransaction = true;
     const result = await client.query(
-      `INSERT INTO user_profiles (twitter_id, twitter_username, twitter_name, telegram_username, wallet_address, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+      `INSERT INTO user_profiles (
+         twitter_id, twitter_username, twitter_name, telegram_user_id, telegram_username, wallet_address,
+         status, twitter_created_at, twitter_followers_count, twitter_following_count, twitter_tweet_count,
+         twitter_default_profile_image, twitter_verified, registration_ip, risk_score, risk_decision, risk_reasons,
+         created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW(), NOW())
        RETURNING *`,
-      [twitter_id, twitter_username, twitter_name, telegram_username, wallet_address]
+      [
+        twitter_id, twitter_username, twitter_name, telegram_user_id, telegram_username, chain === 'evm' ? address : null,
+        risk.decision === 'review' ? 'pending_review' : 'active',
+        account.created_at ?? null, account.followers_count ?? null, account.following_count ?? null, account.tweet_count ?? null,
+        account.default_profile_image ?? null, account.verified ?? null,
+        req.ip || null, risk.score, risk.decision, JSON.stringify(risk.reasons)
+      ]
     );
+    let user = result.rows[0];
+    const wallet = await insertWallet(client, user.id, { chain, address, isPrimary: true, verified: true });
+
+    if (referral_code) {
+      const referral = await linkReferral(client, user.id, referral_code);
+      if (referral.status !== 'linked') {
+        await client.query('ROLLBACK');
+        inTransaction = false;
+        await recordAuditEvent(req, {
+          action: 'user.register_rejected',
+          targetType: 'user',
+          metadata: { reason: `referral_${referral.status}`, referral_code }
+        });
+        recordRegistration('referral_rejected');
+        return res.status(400).json({ error: REFERRAL_ERRORS[referral.status] });
+      }
+      user = referral.user;
+    }
+    await client.query('COMMIT');
+    inTransaction = false;
+
+    try {
+      await claimTwitterLogin(user);
+    } catch (error) {
+      logger.error('Failed to store Twitter profile snapshot', { user_id: user.id, error });
+    }
 
-    console.log('User registered successfully:', result.rows[0]);
+    const heldForReview = user.status === 'pending_review';
+    recordRegistration(heldForReview ? 'held_for_review' : 'success');
+    logger.info('User registered', {
+      user_id: user.id,
+      twitter_id: user.twitter_id,
+      referred: Boolean(referral_code),
+      risk_score: risk.score,
+      risk_decision: risk.decision
+    });
+    await recordAuditEvent(req, {
+      action: 'user.register',
+      targetType: 'user',
+      targetId: user.id,
+      after: user,
+      metadata: {
+        ...(referral_code ? { referral_code } : {}),
+        risk_score: risk.score,
+        risk_decision: risk.decision
+      }
+    });
     res.json({ 
       success: true,
-      message: 'User registered successfully',
-      user: result.rows[0]
+      message: heldForReview ? 'Registration received and held for review' : 'User registered successfully',
+      user: { ...user, wallets: [wallet] }
     });
   } catch (error) {
-    console.error('Registration failed:', error);
+    // A failed ROLLBACK must not keep the response from being sent
+    if (inTransaction) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    logger.error('Registration failed', { error });
     if (error.code === '23505') { // Unique constraint violation
+      recordRegistration('duplicate');
       res.status(400).json({ error: 'User already registered' });
     } else {
+      recordRegistration('error');
       res.status(500).json({ error: error.message });
     }
   } finally {
-    client.release();
+    client?.release();
   }
 });
 
-// Validation middleware for admin authentication
-const validateAdmin = [
-  body('username')
-    .notEmpty()
-    .withMessage('Username is required')
-    .isLength({ min: 3, max: 50 })
-    .withMessage('Username must be between 3 and 50 characters')
-    .trim()
-    .escape(),
-  
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-];
-
 /**
  * @swagger
  * /api/users:
  *   post:
  *     tags: [Users]
  *     summary: Get all registered users (Admin only)
- *     description: Retrieve a list of all registered users - requires admin authentication
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - username
- *               - password
- *             properties:
- *               username:
- *                 type: string
- *                 description: Admin username
- *               password:
- *                 type: string
- *                 description: Admin password
+ *     description: Retrieve a list of all registered users - requires an admin bearer token from POST /api/admin/login (viewer role or higher)
+ *     security:
+ *       - AdminBearer: []
  *     responses:
  *       200:
  *         description: List of users retrieved successfully
@@ -607,56 +577,41 @@ const validateAdmin = [
  *                   items:
  *                     $ref: '#/components/schemas/User'
  *       401:
- *         description: Unauthorized - Invalid admin credentials
+ *         description: Unauthorized - Missing or invalid admin token
  *       500:
  *         description: Failed to fetch users
  */
 // Get All Users - Admin Only
-router.post('/users', validateAdmin, async (req, res) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array()
-    });
-  }
-
-  const { username, password } = req.body;
-  
-  // Check admin credentials against environment variables
-  if (username !== process.env.ADMIN_USERNAME || password !== process.env.ADMIN_PASSWORD) {
-    console.log(`Failed admin login attempt from IP: ${req.ip}, Username: ${username}`);
-    return res.status(401).json({ 
-      error: 'Unauthorized',
-      message: 'Invalid admin credentials'
-    });
-  }
-  
-  console.log(`Admin access granted to: ${username} from IP: ${req.ip}`);
-  
-  const client = await pool.connect();
+router.post('/users', requireAdmin('viewer'), async (req, res) => {
+  let client;
   try {
+    client = await pool.connect();
     // Query the correct table name (user_profiles instead of users)
     const result = await client.query('SELECT * FROM user_profiles ORDER BY created_at DESC');
+    await recordAuditEvent(req, {
+      action: 'user.list',
+      targetType: 'user',
+      metadata: { results: result.rows.length }
+    });
     res.json({ 
       success: true,
-      users: result.rows,
+      users: await attachWallets(result.rows, client),
       count: result.rows.length,
       message: `Retrieved ${result.rows.length} registered users`
     });
   } catch (error) {
-    console.error('Failed to fetch users:', error);
+    logger.error('Failed to fetch users', { error });
     res.status(500).json({ error: error.message });
   } finally {
-    client.release();
+    client?.release();
   }
 });
 
 // Status Check Routes
 router.post('/status', async (req, res) => {
-  const client = await pool.connect();
+  let client;
   try {
+    client = await pool.connect();
     const { client_name } = req.body;
     const result = await client.query(
       'INSERT INTO status_checks (client_name) VALUES ($1) RETURNING *',
@@ -664,23 +619,24 @@ router.post('/status', async (req, res) => {
     );
     res.json(result.rows[0]);
   } catch (error) {
-    console.error('Failed to create status check:', error);
+    logger.error('Failed to create status check', { error });
     res.status(500).json({ error: error.message });
   } finally {
-    client.release();
+    client?.release();
   }
 });
 
 router.get('/status', async (req, res) => {
-  const client = await pool.connect();
+  let client;
   try {
+    client = await pool.connect();
     const result = await client.query('SELECT * FROM status_checks');
     res.json(result.rows);
   } catch (error) {
-    console.error('Failed to fetch status checks:', error);
+    logger.error('Failed to fetch status checks', { error });
     res.status(500).json({ error: error.message });
   } finally {
-    client.release();
+    client?.release();
   }
 });
 
@@ -1,8 +1,5 @@
-import dotenv from 'dotenv';
 import { pool } from '../config/database.js';
-
-// Load environment variables
-dotenv.config();
+import { getMigrationStatus } from '../migrations/run-migrations.js';
 
 const checkDatabase = async () => {
   const client = await pool.connect();
@@ -32,34 +29,21 @@ const checkDatabase = async () => {
     if (telegramIdExists && !telegramUsernameExists) {
       console.log('\n⚠️  Database has telegram_id but code expects telegram_username');
       console.log('💡 Need to update database schema to match current code.');
-      
-      // Update database to use telegram_username
-      console.log('\n🔄 Updating database to use telegram_username...');
-      await client.query('ALTER TABLE user_profiles RENAME COLUMN telegram_id TO telegram_username;');
-      
-      // Fix constraint name if it exists
-      try {
-        await client.query('ALTER TABLE user_profiles RENAME CONSTRAINT uq_user_profiles_telegram_id TO uq_user_profiles_telegram_username;');
-      } catch (e) {
-        console.log('Constraint rename skipped (may not exist)');
-      }
-      
-      // Fix index name if it exists
-      try {
-        await client.query('ALTER INDEX idx_user_profiles_telegram_id RENAME TO idx_user_profiles_telegram_username;');
-      } catch (e) {
-        console.log('Index rename skipped (may not exist)');
-      }
-      
-      console.log('✅ Database updated to use telegram_username');
+      console.log('👉 Run `npm run migrate:up` to apply 001_rename_telegram_id_to_username');
     } else if (telegramUsernameExists && !telegramIdExists) {
       console.log('\n✅ Database correctly uses telegram_username - matches current code');
     } else if (!telegramUsernameExists && !telegramIdExists) {
-      console.log('\n⚠️  Neither column exists - table may need initialization');
+      console.log('\n⚠️  Neither column exists - run `npm run migrate:up` to create the schema');
     } else {
       console.log('\n❌ Both columns exist - this is unexpected');
     }
-    
+
+    const migrations = await getMigrationStatus();
+    const pending = migrations.filter((migration) => !migration.applied_at);
+    console.log(`\n📦 Migrations: ${migrations.length - pending.length} applied, ${pending.length} pending`);
+    for (const migration of pending) {
+      console.log(`   pending: ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+    }
   } catch (error) {
     console.error('❌ Database check failed:', error);
   } finally {
@@ -0,0 +1,29 @@
+import { pool } from '../config/database.js';
+import { ADMIN_ROLES, createAdmin } from '../services/adminAuth.js';
+
+// Usage: npm run admin:create -- <username> <role>
+// The password is read from ADMIN_NEW_PASSWORD so it never ends up in shell history.
+
+const createAdminFromCli = async () => {
+  const [username, role = 'viewer'] = process.argv.slice(2);
+  const password = process.env.ADMIN_NEW_PASSWORD;
+
+  try {
+    if (!username || !ADMIN_ROLES.includes(role)) {
+      throw new Error(`Usage: npm run admin:create -- <username> <${ADMIN_ROLES.join('|')}>`);
+    }
+    if (!password || password.length < 12) {
+      throw new Error('Set ADMIN_NEW_PASSWORD to a password of at least 12 characters');
+    }
+
+    const admin = await createAdmin({ username, password, role });
+    console.log(`✅ Created admin "${admin.username}" with role ${admin.role}`);
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error.code === '23505' ? 'username already exists' : error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+createAdminFromCli();
@@ -1,85 +1,68 @@
-  import dotenv from 'dotenv';
-  import { fileURLToPath } from 'url';
-  import { dirname, join } from 'path';
-
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = dirname(__filename);
-
-  // Load environment variables - try multiple paths for Railway
-  const envPaths = [
-    join(__dirname, '.env'),
-    join(__dirname, '../.env'),
-    '.env'
-  ];
-
-  for (const envPath of envPaths) {
-    const result = dotenv.config({ path: envPath });
-    if (!result.error) {
-      console.log(`✅ Environment loaded from: ${envPath}`);
-      break;
-    }
-  }
-
-  // Log environment status (remove in production)
-  if (process.env.NODE_ENV !== 'production') {
-    console.log('Current working directory:', process.cwd());
-    console.log('PORT:', process.env.PORT);
-    console.log('DATABASE_URL present:', !!process.env.DATABASE_URL);
-  }
+  // Configuration first: every other module reads the validated settings, and a bad
+  // setting stops the process here with a report of everything that is wrong
+  import { env, isProduction } from './config/env.js';
+  import { logger } from './utils/logger.js';
 
   // Import other modules
   import express from 'express';
   import helmet from 'helmet';
-  import rateLimit from 'express-rate-limit';
   import swaggerJsdoc from 'swagger-jsdoc';
   import swaggerUi from 'swagger-ui-express';
   import userRoutes from './routes/users.js';
-  import { initializeDatabase } from './config/database.js';
-  import { initializeTwitterConfig } from './config/twitter.js';
+  import scoreRoutes from './routes/scores.js';
+  import leaderboardRoutes from './routes/leaderboards.js';
+  import adminRoutes from './routes/admin.js';
+  import adminUserRoutes from './routes/adminUsers.js';
+  import adminAuditRoutes from './routes/adminAudit.js';
+  import profileRoutes from './routes/profile.js';
+  import raidRoutes from './routes/raids.js';
+  import adminRaidRoutes from './routes/adminRaids.js';
+  import adminRateLimitRoutes from './routes/adminRateLimits.js';
+  import adminReviewRoutes from './routes/adminReview.js';
+  import sandboxRoutes from './routes/sandbox.js';
+  import healthRoutes from './routes/health.js';
+  import metricsRoutes from './routes/metrics.js';
+  import { requestLogging } from './middleware/requestLogging.js';
+  import { httpMetrics } from './middleware/metrics.js';
+  import { corsPolicy } from './middleware/cors.js';
+  import { rateLimitPolicy } from './middleware/rateLimit.js';
+  import { runMigrations } from './migrations/run-migrations.js';
+  import { initializeTwitterConfig, TWITTER_AUTH_FLOW } from './config/twitter.js';
+  import { initializeCorsConfig } from './config/cors.js';
+  import { startTokenStoreCleanup, stopTokenStoreCleanup } from './services/tokenStore.js';
+  import { startRateLimitCleanup, stopRateLimitCleanup } from './services/rateLimits.js';
+  import { startProfileRefresh, stopProfileRefresh } from './services/twitterProfiles.js';
+  import { markShuttingDown, isShuttingDown } from './services/health.js';
+  import { pool } from './config/database.js';
+  import { ensureBootstrapAdmin } from './services/adminAuth.js';
 
 
-  console.log('🔧 Initializing Twitter config...');
-  try {
-    initializeTwitterConfig();
-    console.log('✅ Twitter config initialized');
-  } catch (err) {
-    console.error('❌ Failed to initialize Twitter config:', err);
-  }
+  initializeTwitterConfig();
+  initializeCorsConfig();
 
   const app = express();
-  const port = process.env.PORT || 3001;
 
-  // Debug middleware to log all requests
-  app.use((req, res, next) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${req.method} ${req.url} - Headers:`, JSON.stringify(req.headers, null, 2));
-    next();
-  });
+  // Number of reverse proxies in front of the app (Railway has one), so req.ip is the client's
+  // address rather than the proxy's. TRUST_PROXY accepts a hop count, true/false, or a list of
+  // addresses/subnets understood by Express.
+  app.set('trust proxy', env.TRUST_PROXY);
 
-  // CORS middleware - must be first to handle preflight requests
-  app.use((req, res, next) => {
-    console.log(`🔄 ${req.method} ${req.path} from origin: ${req.headers.origin}`);
-    
-    const origin = req.headers.origin;
-    
-    // Set CORS headers for all requests
-    res.header('Access-Control-Allow-Origin', origin || 'https://cat.blockmintlabs.com');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cookie, Cache-Control, X-Forwarded-For');
-    res.header('Access-Control-Allow-Credentials', 'true'); // Set to false since we don't use sessions
-    res.header('Access-Control-Max-Age', '86400');
-    res.header('Vary', 'Origin');
-    
-    // Handle preflight OPTIONS requests immediately and return success
-    if (req.method === 'OPTIONS') {
-      console.log('✅ OPTIONS preflight handled for:', req.path, 'from:', origin);
-      res.status(200).json({ message: 'CORS preflight successful' });
-      return;
-    }
-    
-    console.log('➡️ Passing request to next middleware');
-    next();
-  });
+  // Request ID (echoed as X-Request-Id) and one structured log line per request
+  app.use(requestLogging);
+  app.use(httpMetrics);
+
+  // CORS - before everything else so preflights are answered without touching the routes.
+  // Read-only public data first, then the admin API, then the frontend policy for the rest.
+  app.use([
+    '/health',
+    '/api/scores',
+    '/api/top-raiders',
+    '/api/top-whales',
+    '/api/loyalty-ranking',
+    '/api/top-referrers'
+  ], corsPolicy('public'));
+  app.use('/api/admin', corsPolicy('admin'));
+  app.use(corsPolicy('app'));
 
   // Security middleware
   app.use(helmet({
@@ -93,44 +76,52 @@
     },
   }));
 
-  // Rate limiting
-  const generalRateLimit = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 100,
-    message: { error: 'Too many requests, please try again later.' },
-    standardHeaders: true,
-    legacyHeaders: false,
+  // While draining for shutdown, ask clients not to reuse their connection
+  app.use((req, res, next) => {
+    if (isShuttingDown()) {
+      res.set('Connection', 'close');
+    }
+    next();
   });
 
-  const authRateLimit = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 5,
-    message: { error: 'Too many authentication attempts, please try again later.' },
-    standardHeaders: true,
-    legacyHeaders: false,
-  });
+  // Liveness/readiness probes and the metrics scrape - ahead of the rate limiters so frequent
+  // probing is never throttled
+  app.use(healthRoutes);
+  app.use(metricsRoutes);
 
-  app.use(generalRateLimit);
+  // Rate limiting, per policy (config/rateLimits.js), counted in a store shared by all instances
+  app.use(rateLimitPolicy('general'));
+  const authRateLimit = rateLimitPolicy('auth');
+  app.use('/api/auth', authRateLimit);
+  app.use('/api/admin/login', authRateLimit);
+  app.use('/api/register', rateLimitPolicy('register'));
+  // One counter for the whole admin API, including the legacy user listing
+  const adminRateLimit = rateLimitPolicy('admin');
+  app.use('/api/users', adminRateLimit);
+  app.use('/api/admin', adminRateLimit);
 
-  // Body parsing middleware
+  // Body parsing middleware - after the rate limiters, so throttled clients never get their
+  // bodies parsed
   app.use(express.json({ limit: '10mb' }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-  // Apply auth rate limiting to auth endpoints
-  app.use('/api/auth', authRateLimit);
-
   // Routes
   app.use('/api', userRoutes);
+  app.use('/api', scoreRoutes);
+  app.use('/api', leaderboardRoutes);
+  app.use('/api', profileRoutes);
+  app.use('/api', raidRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/admin', adminUserRoutes);
+  app.use('/api/admin', adminAuditRoutes);
+  app.use('/api/admin', adminRaidRoutes);
+  app.use('/api/admin', adminRateLimitRoutes);
+  app.use('/api/admin', adminReviewRoutes);
 
-  // Health check endpoint for Railway
-  app.get('/health', (req, res) => {
-    res.status(200).json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      uptime: Math.floor(process.uptime()),
-      environment: process.env.NODE_ENV || 'development'
-    });
-  });
+  // Fake Twitter consent page and Telegram signer for offline development
+  if (TWITTER_AUTH_FLOW === 'sandbox') {
+    app.use('/api/sandbox', sandboxRoutes);
+  }
 
   // CORS test endpoint
   app.get('/api/cors-test', (req, res) => {
@@ -161,10 +152,8 @@
       },
       servers: [
         {
-          url: process.env.NODE_ENV === 'production' 
-            ? 'https://madcatsuite-production-7b53.up.railway.app'
-            : 'http://localhost:3001',
-          description: process.env.NODE_ENV === 'production' ? 'Production server' : 'Development server',
+          url: isProduction ? env.BACKEND_URL : `http://localhost:${env.PORT}`,
+          description: isProduction ? 'Production server' : 'Development server',
         },
       ],
     },
@@ -175,35 +164,100 @@
   app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 
   // Start server
+let server = null;
+
 const startServer = async () => {
   try {
-    console.log('🔧 Initializing database...');
-    await initializeDatabase();
-    console.log('✅ Database initialized');
+    if (env.MIGRATE_ON_START) {
+      const applied = await runMigrations();
+      logger.info('✅ Database migrations complete', { applied: applied.length });
+    }
 
-    const port = process.env.PORT || 3001;
+    await ensureBootstrapAdmin();
+    startTokenStoreCleanup();
+    startRateLimitCleanup();
+    startProfileRefresh();
+
+    // A SIGTERM during migrations means the platform no longer wants this instance
+    if (isShuttingDown()) {
+      return;
+    }
+
+    const port = env.PORT;
     // Railway requires binding to 0.0.0.0, not localhost
     const host = '0.0.0.0';
 
-    app.listen(port, host, () => {
-      console.log(`🚀 Server is running on ${host}:${port}`);
-      console.log(`📚 API Documentation: http://localhost:${port}/api-docs`);
-      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    server = app.listen(port, host, () => {
+      logger.info('🚀 Server is running', {
+        host,
+        port,
+        docs: `http://localhost:${port}/api-docs`,
+        environment: env.NODE_ENV
+      });
     });
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('❌ Failed to start server', { error });
     process.exit(1);
   }
 };
 
-// Global error handlers for unhandled promise rejections and uncaught exceptions
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('UNHANDLED REJECTION:', reason);
-  process.exit(1);
+// Graceful shutdown: fail readiness, stop accepting connections, let in-flight requests
+// finish, stop background timers and close the pool. Anything still open after
+// SHUTDOWN_TIMEOUT_MS is cut off.
+let shuttingDownWith = null;
+
+const shutdown = (reason, exitCode = 0) => {
+  if (shuttingDownWith !== null) {
+    return;
+  }
+  shuttingDownWith = exitCode;
+  markShuttingDown();
+  logger.info('🛑 Shutting down', { reason });
+
+  const timeoutMs = env.SHUTDOWN_TIMEOUT_MS;
+  const forceExit = setTimeout(() => {
+    logger.error('Shutdown timed out, closing remaining connections', { timeout_ms: timeoutMs });
+    server?.closeAllConnections();
+    process.exit(exitCode || 1);
+  }, timeoutMs);
+  forceExit.unref();
+
+  const closeServer = () => new Promise((resolve) => {
+    if (!server) {
+      return resolve();
+    }
+    server.close(() => resolve());
+    server.closeIdleConnections();
+  });
+
+  closeServer()
+    .then(() => {
+      stopTokenStoreCleanup();
+      stopRateLimitCleanup();
+      stopProfileRefresh();
+      return pool.end();
+    })
+    .then(() => {
+      logger.info('✅ Shutdown complete');
+      process.exit(exitCode);
+    })
+    .catch((error) => {
+      logger.error('Shutdown failed', { error });
+      process.exit(1);
+    });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Unexpected errors still end the process, but in-flight requests get to finish first
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled rejection', { error: reason });
+  shutdown('unhandledRejection', 1);
 });
 process.on('uncaughtException', (err) => {
-  console.error('UNCAUGHT EXCEPTION:', err);
-  process.exit(1);
+  logger.error('Uncaught exception', { error: err });
+  shutdown('uncaughtException', 1);
 });
 
   startServer();
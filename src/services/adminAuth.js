@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { pool } from '../config/database.js';
+import { env } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+// Admin accounts and bearer sessions.
+//
+// Passwords are stored as scrypt hashes in the form scrypt$N$r$p$salt$hash.
+// Login issues a random bearer token; only its SHA-256 is stored, so a database
+// leak does not hand out live sessions.
+
+const scrypt = promisify(crypto.scrypt);
+
+const ADMIN_ROLES = ['viewer', 'operator', 'superadmin'];
+const ADMIN_SESSION_TTL_HOURS = env.ADMIN_SESSION_TTL_HOURS;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Compared against when the username is unknown so response times don't reveal which usernames exist
+const DUMMY_PASSWORD_HASH = await hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const hashSessionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Admin rows returned to callers never include the password hash
+const ADMIN_COLUMNS = 'id, username, role, is_active, last_login_at, created_at, updated_at';
+
+const hasRole = (admin, requiredRole) =>
+  ADMIN_ROLES.indexOf(admin.role) >= ADMIN_ROLES.indexOf(requiredRole);
+
+const authenticateAdmin = async (username, password) => {
+  const result = await pool.query(
+    'SELECT * FROM admins WHERE username = $1 AND is_active = TRUE',
+    [username]
+  );
+  const admin = result.rows[0];
+
+  const valid = await verifyPassword(password, admin ? admin.password_hash : DUMMY_PASSWORD_HASH);
+  if (!admin || !valid) {
+    return null;
+  }
+
+  await pool.query('UPDATE admins SET last_login_at = NOW() WHERE id = $1', [admin.id]);
+  const { password_hash, ...safeAdmin } = admin;
+  return safeAdmin;
+};
+
+const createAdminSession = async (admin, { ip, userAgent } = {}) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await pool.query(
+    `INSERT INTO admin_sessions (admin_id, token_hash, ip, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5::int))
+     RETURNING expires_at`,
+    [admin.id, hashSessionToken(token), ip, userAgent, ADMIN_SESSION_TTL_HOURS]
+  );
+  return { token, expires_at: result.rows[0].expires_at };
+};
+
+// Resolves to { admin, session_id } for a live session, or null
+const findAdminSession = async (token) => {
+  const result = await pool.query(
+    `SELECT s.id AS session_id, ${ADMIN_COLUMNS.split(', ').map((column) => `a.${column}`).join(', ')}
+     FROM admin_sessions s
+     JOIN admins a ON a.id = s.admin_id
+     WHERE s.token_hash = $1
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND a.is_active = TRUE`,
+    [hashSessionToken(token)]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const { session_id, ...admin } = result.rows[0];
+  return { admin, session_id };
+};
+
+const revokeAdminSession = async (sessionId) => {
+  await pool.query(
+    'UPDATE admin_sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+};
+
+const revokeAllAdminSessions = async (adminId) => {
+  const result = await pool.query(
+    'UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = $1 AND revoked_at IS NULL',
+    [adminId]
+  );
+  return result.rowCount;
+};
+
+const listAdmins = async () => {
+  const result = await pool.query(`SELECT ${ADMIN_COLUMNS} FROM admins ORDER BY id`);
+  return result.rows;
+};
+
+const createAdmin = async ({ username, password, role }) => {
+  const result = await pool.query(
+    `INSERT INTO admins (username, password_hash, role) VALUES ($1, $2, $3) RETURNING ${ADMIN_COLUMNS}`,
+    [username, await hashPassword(password), role]
+  );
+  return result.rows[0];
+};
+
+// Updates role, active flag and/or password. Deactivating an admin or changing
+// their password revokes their existing sessions.
+const updateAdmin = async (adminId, { role, is_active, password }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE admins SET
+         role = COALESCE($2, role),
+         is_active = COALESCE($3, is_active),
+         password_hash = COALESCE($4, password_hash)
+       WHERE id = $1
+       RETURNING ${ADMIN_COLUMNS}`,
+      [adminId, role ?? null, is_active ?? null, password ? await hashPassword(password) : null]
+    );
+
+    if (result.rows.length > 0 && (is_active === false || password)) {
+      await client.query(
+        'UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = $1 AND revoked_at IS NULL',
+        [adminId]
+      );
+    }
+
+    await client.query('COMMIT');
+    return result.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Seeds the first superadmin from ADMIN_USERNAME / ADMIN_PASSWORD when no admins exist yet,
+// so existing deployments keep a way in after upgrading.
+const ensureBootstrapAdmin = async () => {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    return null;
+  }
+
+  const existing = await pool.query('SELECT COUNT(*)::int AS count FROM admins');
+  if (existing.rows[0].count > 0) {
+    return null;
+  }
+
+  const admin = await createAdmin({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'superadmin' });
+  logger.info('👤 Created bootstrap superadmin from ADMIN_USERNAME', { admin: admin.username });
+  return admin;
+};
+
+export {
+  ADMIN_ROLES,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  authenticateAdmin,
+  createAdminSession,
+  findAdminSession,
+  revokeAdminSession,
+  revokeAllAdminSessions,
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+  ensureBootstrapAdmin
+};
@@ -0,0 +1,91 @@
+import { pool } from '../config/database.js';
+import { readTwitterSession } from '../middleware/twitterSession.js';
+import { logger } from '../utils/logger.js';
+
+// Audit trail of who did what to which record.
+//
+// Events are recorded after the action succeeds. A failure to write the audit row is logged
+// but never fails the request, because the action itself has already happened.
+
+const AUDIT_ACTOR_TYPES = ['admin', 'user', 'system', 'anonymous'];
+
+// Works out who is acting from the request: an authenticated admin, the Twitter session
+// owner, or nobody
+const resolveActor = (req) => {
+  if (req.admin) {
+    return { actorType: 'admin', actorId: String(req.admin.id), actorLabel: req.admin.username };
+  }
+  const session = req.twitterSession || readTwitterSession(req);
+  if (session) {
+    return { actorType: 'user', actorId: session.twitter_id, actorLabel: session.twitter_username };
+  }
+  return { actorType: 'anonymous', actorId: null, actorLabel: null };
+};
+
+// event: { action, targetType, targetId, before, after, metadata, actor? }
+const recordAuditEvent = async (req, { action, targetType = null, targetId = null, before = null, after = null, metadata = {}, actor }) => {
+  const { actorType, actorId, actorLabel } = actor || resolveActor(req);
+  try {
+    await pool.query(
+      `INSERT INTO audit_events
+         (actor_type, actor_id, actor_label, action, target_type, target_id, before, after, metadata, ip, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        actorType,
+        actorId,
+        actorLabel,
+        action,
+        targetType,
+        targetId === null ? null : String(targetId),
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        JSON.stringify(metadata),
+        req ? req.ip : null,
+        req ? req.get('user-agent') || null : null
+      ]
+    );
+  } catch (error) {
+    logger.error('Failed to record audit event', { action, error });
+  }
+};
+
+// Newest first, paginated by id: pass the last id seen as `before_id` for the next page.
+// An `action` ending in `*` matches by prefix (e.g. `admin.*`).
+const queryAuditEvents = async ({ actor_type, actor_id, action, target_type, target_id, from, to, before_id, limit = 50 }) => {
+  const params = [];
+  const conditions = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (actor_type) addCondition('actor_type = ?', actor_type);
+  if (actor_id) addCondition('actor_id = ?', actor_id);
+  if (action && action.endsWith('*')) {
+    addCondition('action LIKE ?', `${action.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%`);
+  } else if (action) {
+    addCondition('action = ?', action);
+  }
+  if (target_type) addCondition('target_type = ?', target_type);
+  if (target_id) addCondition('target_id = ?', target_id);
+  if (from) addCondition('created_at >= ?', from);
+  if (to) addCondition('created_at < ?', to);
+  if (before_id) addCondition('id < ?', before_id);
+
+  params.push(limit + 1);
+  const result = await pool.query(
+    `SELECT * FROM audit_events
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const events = result.rows.slice(0, limit);
+  return {
+    events,
+    next_before_id: result.rows.length > limit ? events[events.length - 1].id : null
+  };
+};
+
+export { AUDIT_ACTOR_TYPES, recordAuditEvent, queryAuditEvents };
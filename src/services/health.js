@@ -0,0 +1,70 @@
+import { pool } from '../config/database.js';
+import { env } from '../config/env.js';
+import { getPendingMigrations } from '../migrations/run-migrations.js';
+import { getTwitterAuthProvider } from './twitterAuth.js';
+import { TWITTER_AUTH_FLOW } from '../config/twitter.js';
+import { logger } from '../utils/logger.js';
+
+// Readiness checks behind /health/ready. Each check resolves to { status: 'ok' | 'fail', ... }
+// and never throws; the instance is ready only when every check passes and it is not
+// shutting down. The probe is public, so database errors are logged rather than returned and
+// the route only shows the other details to metrics scrapers.
+
+let shuttingDown = false;
+
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+const isShuttingDown = () => shuttingDown;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const checkDatabase = async () => {
+  const startedAt = process.hrtime.bigint();
+  const latency = () => Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+  try {
+    await withTimeout(pool.query('SELECT 1'), env.HEALTH_CHECK_TIMEOUT_MS);
+    return { status: 'ok', latency_ms: latency() };
+  } catch (error) {
+    logger.error('Health check: database unreachable', { error });
+    return { status: 'fail', latency_ms: latency() };
+  }
+};
+
+const checkMigrations = async () => {
+  try {
+    const pending = await withTimeout(getPendingMigrations(), env.HEALTH_CHECK_TIMEOUT_MS);
+    return pending.length > 0 ? { status: 'fail', pending } : { status: 'ok' };
+  } catch (error) {
+    logger.error('Health check: could not read migration state', { error });
+    return { status: 'fail' };
+  }
+};
+
+const checkTwitterAuth = () => {
+  const provider = getTwitterAuthProvider();
+  return provider.isConfigured()
+    ? { status: 'ok', flow: TWITTER_AUTH_FLOW }
+    : { status: 'fail', flow: TWITTER_AUTH_FLOW, error: provider.configurationError };
+};
+
+const getReadiness = async () => {
+  const [database, migrations] = await Promise.all([checkDatabase(), checkMigrations()]);
+  const checks = { database, migrations, twitter_oauth: checkTwitterAuth() };
+  const healthy = Object.values(checks).every((check) => check.status === 'ok');
+
+  return {
+    ready: healthy && !shuttingDown,
+    status: shuttingDown ? 'shutting_down' : healthy ? 'ready' : 'not_ready',
+    checks
+  };
+};
+
+export { markShuttingDown, isShuttingDown, checkDatabase, checkMigrations, checkTwitterAuth, getReadiness };
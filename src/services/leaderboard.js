@@ -0,0 +1,84 @@
+import { pool } from '../config/database.js';
+
+// Leaderboards rank active (not banned) users by the XP they earned from the board's sources,
+// or for `referrers` by how many active users they referred.
+// Ties are broken by who reached the score first (earliest last award or referral), then by
+// registration order, so ranks are stable between requests. Avatars come from the users'
+// Twitter profile snapshots (services/twitterProfiles.js).
+
+// Each query yields one row per ranked user with score and last_scored_at.
+// $1 is the window in days (NULL for all time); later parameters come from the board.
+const xpScores = `
+  SELECT u.id, u.wallet_address, u.twitter_username, u.created_at,
+         SUM(e.amount)::int AS score,
+         MAX(e.created_at) AS last_scored_at
+  FROM xp_events e
+  JOIN user_profiles u ON u.id = e.user_id
+  WHERE e.source = ANY($2)
+    AND u.status = 'active'
+    AND ($1::int IS NULL OR e.created_at >= NOW() - make_interval(days => $1::int))
+  GROUP BY u.id
+  HAVING SUM(e.amount) > 0
+`;
+
+const referralScores = `
+  SELECT r.id, r.wallet_address, r.twitter_username, r.created_at,
+         COUNT(*)::int AS score,
+         MAX(u.referred_at) AS last_scored_at
+  FROM user_profiles u
+  JOIN user_profiles r ON r.id = u.referred_by
+  WHERE u.status = 'active'
+    AND r.status = 'active'
+    AND ($1::int IS NULL OR u.referred_at >= NOW() - make_interval(days => $1::int))
+  GROUP BY r.id
+`;
+
+const LEADERBOARDS = {
+  raiders: { sql: xpScores, params: [['twitter']] },
+  whales: { sql: xpScores, params: [['trading']] },
+  loyalty: { sql: xpScores, params: [['telegram']] },
+  referrers: { sql: referralScores, params: [] }
+};
+
+const LEADERBOARD_WINDOWS = {
+  all: null,
+  '7d': 7,
+  '30d': 30
+};
+
+// Users registered with a non-EVM wallet have no wallet_address
+const displayName = (row) => row.twitter_username
+  || (row.wallet_address ? `${row.wallet_address.slice(0, 6)}...${row.wallet_address.slice(-4)}` : `User #${row.id}`);
+
+const getLeaderboard = async (board, { limit = 10, offset = 0, window = 'all' } = {}, client = pool) => {
+  const { sql, params } = LEADERBOARDS[board];
+  const boardParams = [LEADERBOARD_WINDOWS[window], ...params];
+
+  const count = await client.query(
+    `SELECT COUNT(*)::int AS total FROM (${sql}) scored`,
+    boardParams
+  );
+
+  const result = await client.query(
+    `SELECT scored.*, s.profile_image_url
+     FROM (${sql}) scored
+     LEFT JOIN twitter_profile_snapshots s ON s.user_id = scored.id
+     ORDER BY score DESC, last_scored_at ASC, created_at ASC, id ASC
+     LIMIT $${boardParams.length + 1} OFFSET $${boardParams.length + 2}`,
+    [...boardParams, limit, offset]
+  );
+
+  return {
+    data: result.rows.map((row, index) => ({
+      rank: offset + index + 1,
+      raider: displayName(row),
+      score: row.score,
+      wallet_address: row.wallet_address,
+      twitter_username: row.twitter_username,
+      profile_image_url: row.profile_image_url
+    })),
+    pagination: { limit, offset, total: count.rows[0].total, window }
+  };
+};
+
+export { LEADERBOARDS, LEADERBOARD_WINDOWS, getLeaderboard };
@@ -0,0 +1,133 @@
+import client from 'prom-client';
+import { pool } from '../config/database.js';
+
+// Prometheus metrics, served in text format by /metrics.
+//
+// Route labels use the Express route pattern (/api/raids/:id), never the raw URL, so the
+// number of series stays bounded. Requests that match no route are labelled `unmatched`.
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const twitterOAuthStartsTotal = new client.Counter({
+  name: 'twitter_oauth_starts_total',
+  help: 'Twitter logins started, by login flow',
+  labelNames: ['flow'],
+  registers: [register]
+});
+
+// reason is the `error=` code the callback redirects to the frontend with, or `none`
+const twitterOAuthCallbacksTotal = new client.Counter({
+  name: 'twitter_oauth_callbacks_total',
+  help: 'Twitter OAuth callbacks by login flow, outcome and failure reason',
+  labelNames: ['flow', 'outcome', 'reason'],
+  registers: [register]
+});
+
+const REGISTRATION_OUTCOMES = [
+  'success',
+  'held_for_review',
+  'duplicate',
+  'validation_failed',
+  'telegram_rejected',
+  'wallet_rejected',
+  'referral_rejected',
+  'risk_rejected',
+  'error'
+];
+
+const registrationsTotal = new client.Counter({
+  name: 'registrations_total',
+  help: 'Registration attempts by outcome',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+// Zero-valued series for the known outcomes, so rates work before the first registration
+for (const outcome of REGISTRATION_OUTCOMES) {
+  registrationsTotal.inc({ outcome }, 0);
+}
+
+// Results of scheduled Twitter profile refreshes (services/twitterProfiles.js)
+const PROFILE_REFRESH_OUTCOMES = ['refreshed', 'unauthorized', 'rate_limited', 'failed', 'unavailable'];
+
+const profileRefreshesTotal = new client.Counter({
+  name: 'twitter_profile_refreshes_total',
+  help: 'Scheduled Twitter profile refreshes by outcome',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+for (const outcome of PROFILE_REFRESH_OUTCOMES) {
+  profileRefreshesTotal.inc({ outcome }, 0);
+}
+
+// Read from the pool on every scrape
+const poolGauge = (name, help, read) => new client.Gauge({
+  name,
+  help,
+  registers: [register],
+  collect() {
+    this.set(read());
+  }
+});
+
+poolGauge('db_pool_connections', 'Open connections in the pg pool', () => pool.totalCount);
+poolGauge('db_pool_idle_connections', 'Idle connections in the pg pool', () => pool.idleCount);
+poolGauge('db_pool_waiting_clients', 'Queries waiting for a free pg connection', () => pool.waitingCount);
+poolGauge('db_pool_max_connections', 'Maximum size of the pg pool', () => pool.options.max);
+
+const recordHttpRequest = ({ method, route, status, durationSeconds }) => {
+  const labels = { method, route, status: String(status) };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+};
+
+const recordTwitterOAuthStart = (flow) => {
+  twitterOAuthStartsTotal.inc({ flow });
+};
+
+const recordTwitterOAuthCallback = (flow, reason = null) => {
+  twitterOAuthCallbacksTotal.inc({
+    flow,
+    outcome: reason ? 'failure' : 'success',
+    reason: reason || 'none'
+  });
+};
+
+const recordRegistration = (outcome) => {
+  registrationsTotal.inc({ outcome });
+};
+
+const recordProfileRefresh = (outcome) => {
+  profileRefreshesTotal.inc({ outcome });
+};
+
+const renderMetrics = () => register.metrics();
+
+export {
+  REGISTRATION_OUTCOMES,
+  PROFILE_REFRESH_OUTCOMES,
+  register as metricsRegistry,
+  recordHttpRequest,
+  recordTwitterOAuthStart,
+  recordTwitterOAuthCallback,
+  recordRegistration,
+  recordProfileRefresh,
+  renderMetrics
+};
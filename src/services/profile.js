@@ -0,0 +1,175 @@
+import { pool } from '../config/database.js';
+import { env } from '../config/env.js';
+import { WALLET_CHAINS, normalizeWalletAddress, detectWalletChain } from '../utils/walletAddress.js';
+
+// Self-service profile changes and the change history behind them.
+//
+// Every change to a tracked field, by the user or an admin, is written to
+// user_profile_history in the same transaction as the update. Users may replace or remove
+// each field group once per PROFILE_CHANGE_COOLDOWN_HOURS; admin edits don't count.
+
+const PROFILE_CHANGE_COOLDOWN_MS = env.PROFILE_CHANGE_COOLDOWN_HOURS * 60 * 60 * 1000;
+
+const TRACKED_PROFILE_FIELDS = [
+  'wallet_address',
+  'telegram_username',
+  'telegram_user_id',
+  'twitter_username',
+  'twitter_name'
+];
+
+// History fields of linked wallets (services/wallets.js): `linked_wallet` for links and
+// unlinks, and the primary wallet of each chain. The primary EVM wallet keeps the
+// user_profiles column name it has always been recorded under.
+const primaryWalletField = (chain) => (chain === 'evm' ? 'wallet_address' : `${chain}_wallet_address`);
+const WALLET_HISTORY_FIELDS = ['linked_wallet', ...WALLET_CHAINS.map(primaryWalletField)];
+
+// Fields that change together and share one cooldown
+const PROFILE_FIELD_GROUPS = {
+  telegram: ['telegram_username', 'telegram_user_id']
+};
+
+// Finds another user already holding the new values of a field group
+const PROFILE_GROUP_CONFLICTS = {
+  telegram: {
+    sql: 'SELECT id FROM user_profiles WHERE (telegram_user_id = $2 OR telegram_username = $3) AND id <> $1',
+    params: (changes) => [changes.telegram_user_id, changes.telegram_username]
+  }
+};
+
+const asText = (value) => (value === null || value === undefined ? null : String(value));
+
+const recordProfileChange = async (client, user, field, oldValue, newValue, { actorType, actorId = null }) => {
+  await client.query(
+    `INSERT INTO user_profile_history (user_id, twitter_id, field, old_value, new_value, changed_by_type, changed_by_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [user.id, user.twitter_id, field, asText(oldValue), asText(newValue), actorType, actorId]
+  );
+};
+
+// Writes one history row per tracked field that differs between before and after
+const recordProfileChanges = async (client, before, after, actor) => {
+  for (const field of TRACKED_PROFILE_FIELDS) {
+    if (asText(before[field]) === asText(after[field])) continue;
+    await recordProfileChange(client, after, field, before[field], after[field], actor);
+  }
+};
+
+const getProfileByTwitterId = async (twitterId, client = pool) => {
+  const result = await client.query('SELECT * FROM user_profiles WHERE twitter_id = $1', [twitterId]);
+  return result.rows[0] || null;
+};
+
+const getProfileHistory = async (userId, { limit = 50, offset = 0 } = {}) => {
+  const result = await pool.query(
+    `SELECT id, field, old_value, new_value, changed_by_type, changed_by_id, created_at
+     FROM user_profile_history
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+  return result.rows;
+};
+
+// Every profile that has ever used this wallet, on any chain, including ones since deleted.
+// Older EVM entries may be stored in any letter case, hence the case-insensitive match.
+const findWalletHistory = async (walletAddress) => {
+  const address = normalizeWalletAddress(detectWalletChain(walletAddress), walletAddress) || walletAddress;
+  const result = await pool.query(
+    `SELECT h.user_id, h.twitter_id, h.field, h.old_value, h.new_value, h.changed_by_type, h.changed_by_id, h.created_at,
+            u.twitter_username, u.wallet_address AS current_wallet_address
+     FROM user_profile_history h
+     LEFT JOIN user_profiles u ON u.id = h.user_id
+     WHERE h.field = ANY($2)
+       AND (LOWER(h.old_value) = LOWER($1) OR LOWER(h.new_value) = LOWER($1))
+     ORDER BY h.created_at DESC`,
+    [address, WALLET_HISTORY_FIELDS]
+  );
+  return result.rows;
+};
+
+// When the user may next replace or remove one of these fields, or null if they may now.
+// Setting a field for the first time (no old value) does not start the cooldown.
+const getCooldownEnd = async (client, userId, fields) => {
+  const result = await client.query(
+    `SELECT MAX(created_at) AS last_changed_at
+     FROM user_profile_history
+     WHERE user_id = $1 AND changed_by_type = 'user' AND field = ANY($2) AND old_value IS NOT NULL`,
+    [userId, fields]
+  );
+  const lastChangedAt = result.rows[0].last_changed_at;
+  if (!lastChangedAt) {
+    return null;
+  }
+  const cooldownEnd = new Date(lastChangedAt.getTime() + PROFILE_CHANGE_COOLDOWN_MS);
+  return cooldownEnd > new Date() ? cooldownEnd : null;
+};
+
+// Applies a user's own change to one field group. Resolves to { status: 'updated', user, before }
+// or { status: 'not_found' | 'banned' | 'unchanged' | 'taken' | 'cooldown', retry_at? }.
+const updateOwnProfile = async (twitterId, group, changes) => {
+  const fields = PROFILE_FIELD_GROUPS[group];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT * FROM user_profiles WHERE twitter_id = $1 FOR UPDATE', [twitterId]);
+    const before = current.rows[0];
+    if (!before) {
+      await client.query('ROLLBACK');
+      return { status: 'not_found' };
+    }
+    if (before.status === 'banned') {
+      await client.query('ROLLBACK');
+      return { status: 'banned' };
+    }
+    if (fields.every((field) => asText(before[field]) === asText(changes[field]))) {
+      await client.query('ROLLBACK');
+      return { status: 'unchanged', user: before };
+    }
+
+    const conflict = PROFILE_GROUP_CONFLICTS[group];
+    const taken = await client.query(conflict.sql, [before.id, ...conflict.params(changes)]);
+    if (taken.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { status: 'taken' };
+    }
+
+    const retryAt = await getCooldownEnd(client, before.id, fields);
+    if (retryAt) {
+      await client.query('ROLLBACK');
+      return { status: 'cooldown', retry_at: retryAt };
+    }
+
+    const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+    const updated = await client.query(
+      `UPDATE user_profiles SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [before.id, ...fields.map((field) => changes[field])]
+    );
+    const after = updated.rows[0];
+
+    await recordProfileChanges(client, before, after, { actorType: 'user', actorId: before.id });
+    await client.query('COMMIT');
+    return { status: 'updated', user: after, before };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export {
+  PROFILE_CHANGE_COOLDOWN_MS,
+  TRACKED_PROFILE_FIELDS,
+  WALLET_HISTORY_FIELDS,
+  primaryWalletField,
+  recordProfileChange,
+  recordProfileChanges,
+  getProfileByTwitterId,
+  getProfileHistory,
+  findWalletHistory,
+  getCooldownEnd,
+  updateOwnProfile
+};
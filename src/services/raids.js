@@ -0,0 +1,290 @@
+import { pool } from '../config/database.js';
+import { awardXp } from './scoring.js';
+import { logger } from '../utils/logger.js';
+
+// Raid campaigns: admins publish a target tweet with a time window and an XP reward, users
+// submit the URL of their own tweet as proof, and admins review the proof. Approval awards
+// the reward as twitter XP, which is what /api/top-raiders ranks.
+
+const RAID_SUBMISSION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const EDITABLE_CAMPAIGN_FIELDS = [
+  'title',
+  'description',
+  'target_tweet_url',
+  'xp_reward',
+  'max_approved',
+  'starts_at',
+  'ends_at',
+  'is_active'
+];
+
+const TWEET_URL_PATTERN = /^https:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/([A-Za-z0-9_]{1,15})\/status\/(\d{1,25})\/?(?:[?#].*)?$/i;
+
+// Returns { handle, tweetId } for a tweet URL, or null
+const parseTweetUrl = (url) => {
+  const match = TWEET_URL_PATTERN.exec(url);
+  return match ? { handle: match[1], tweetId: match[2] } : null;
+};
+
+const CAMPAIGN_WITH_COUNTS = `
+  SELECT c.*,
+         COUNT(s.id) FILTER (WHERE s.status = 'approved')::int AS approved_count,
+         COUNT(s.id) FILTER (WHERE s.status = 'pending')::int AS pending_count
+  FROM raid_campaigns c
+  LEFT JOIN raid_submissions s ON s.campaign_id = c.id
+`;
+
+const createCampaign = async (fields, { adminId }) => {
+  const result = await pool.query(
+    `INSERT INTO raid_campaigns
+       (title, description, target_tweet_url, xp_reward, max_approved, starts_at, ends_at, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, true), $9)
+     RETURNING *`,
+    [
+      fields.title,
+      fields.description || null,
+      fields.target_tweet_url,
+      fields.xp_reward,
+      fields.max_approved || null,
+      fields.starts_at,
+      fields.ends_at,
+      fields.is_active,
+      adminId
+    ]
+  );
+  return result.rows[0];
+};
+
+// Resolves to { before, after }, or null when the campaign does not exist
+const updateCampaign = async (id, changes) => {
+  const fields = EDITABLE_CAMPAIGN_FIELDS.filter((field) => changes[field] !== undefined);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await client.query('SELECT * FROM raid_campaigns WHERE id = $1 FOR UPDATE', [id]);
+    if (before.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+    const after = fields.length > 0
+      ? await client.query(
+        `UPDATE raid_campaigns SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+        [id, ...fields.map((field) => changes[field])]
+      )
+      : before;
+
+    await client.query('COMMIT');
+    return { before: before.rows[0], after: after.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const getCampaign = async (id) => {
+  const result = await pool.query(`${CAMPAIGN_WITH_COUNTS} WHERE c.id = $1 GROUP BY c.id`, [id]);
+  return result.rows[0] || null;
+};
+
+// openOnly limits the list to active campaigns whose window includes now
+const listCampaigns = async ({ openOnly = false, limit = 50, offset = 0 } = {}) => {
+  const result = await pool.query(
+    `${CAMPAIGN_WITH_COUNTS}
+     ${openOnly ? 'WHERE c.is_active AND NOW() BETWEEN c.starts_at AND c.ends_at' : ''}
+     GROUP BY c.id
+     ORDER BY c.starts_at DESC, c.id DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+  return result.rows;
+};
+
+// Resolves to { status: 'submitted', submission } or { status: 'not_registered' | 'banned' |
+// 'pending_review' | 'not_found' | 'not_open' | 'invalid_proof' | 'handle_mismatch' | 'full' | 'already_submitted' | 'proof_used' }
+const submitRaidProof = async (twitterId, campaignId, proofUrl) => {
+  const users = await pool.query('SELECT * FROM user_profiles WHERE twitter_id = $1', [twitterId]);
+  const user = users.rows[0];
+  if (!user) {
+    return { status: 'not_registered' };
+  }
+  if (user.status === 'pending_review') {
+    return { status: 'pending_review' };
+  }
+  if (user.status !== 'active') {
+    return { status: 'banned' };
+  }
+
+  const campaign = await getCampaign(campaignId);
+  if (!campaign) {
+    return { status: 'not_found' };
+  }
+  const now = new Date();
+  if (!campaign.is_active || now < campaign.starts_at || now > campaign.ends_at) {
+    return { status: 'not_open' };
+  }
+
+  const proof = parseTweetUrl(proofUrl);
+  const target = parseTweetUrl(campaign.target_tweet_url);
+  if (!proof || (target && proof.tweetId === target.tweetId)) {
+    return { status: 'invalid_proof' };
+  }
+  if (!user.twitter_username || proof.handle.toLowerCase() !== user.twitter_username.toLowerCase()) {
+    return { status: 'handle_mismatch' };
+  }
+  if (campaign.max_approved !== null && campaign.approved_count >= campaign.max_approved) {
+    return { status: 'full' };
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO raid_submissions (campaign_id, user_id, proof_url, proof_tweet_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [campaign.id, user.id, proofUrl, proof.tweetId]
+    );
+    return { status: 'submitted', submission: result.rows[0] };
+  } catch (error) {
+    if (error.code === '23505') {
+      return { status: error.constraint === 'uq_raid_submissions_campaign_user' ? 'already_submitted' : 'proof_used' };
+    }
+    throw error;
+  }
+};
+
+const SUBMISSION_WITH_USER = `
+  SELECT s.*, u.twitter_username, u.wallet_address
+  FROM raid_submissions s
+  JOIN user_profiles u ON u.id = s.user_id
+`;
+
+const listCampaignSubmissions = async (campaignId, { status, limit = 50, offset = 0 } = {}) => {
+  const result = await pool.query(
+    `${SUBMISSION_WITH_USER}
+     WHERE s.campaign_id = $1 AND ($2::varchar IS NULL OR s.status = $2)
+     ORDER BY s.id ASC
+     LIMIT $3 OFFSET $4`,
+    [campaignId, status || null, limit, offset]
+  );
+  return result.rows;
+};
+
+const listUserSubmissions = async (userId, { limit = 50, offset = 0 } = {}) => {
+  const result = await pool.query(
+    `SELECT s.id, s.campaign_id, c.title AS campaign_title, c.xp_reward, s.proof_url,
+            s.status, s.review_note, s.reviewed_at, s.created_at
+     FROM raid_submissions s
+     JOIN raid_campaigns c ON c.id = s.campaign_id
+     WHERE s.user_id = $1
+     ORDER BY s.created_at DESC, s.id DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+  return result.rows;
+};
+
+// Approves or rejects one pending submission. The campaign row is locked so concurrent
+// approvals cannot overshoot max_approved, and the XP award commits with the approval.
+// Resolves to { status: 'approved' | 'rejected', before, after } or
+// { status: 'not_found' | 'already_reviewed' | 'cap_reached' }.
+const reviewRaidSubmission = async (submissionId, decision, { adminId, note = null }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const located = await client.query('SELECT campaign_id FROM raid_submissions WHERE id = $1', [submissionId]);
+    if (located.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 'not_found' };
+    }
+
+    const campaigns = await client.query(
+      'SELECT * FROM raid_campaigns WHERE id = $1 FOR UPDATE',
+      [located.rows[0].campaign_id]
+    );
+    const campaign = campaigns.rows[0];
+
+    const submissions = await client.query('SELECT * FROM raid_submissions WHERE id = $1 FOR UPDATE', [submissionId]);
+    const before = submissions.rows[0];
+    if (before.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return { status: 'already_reviewed' };
+    }
+
+    let xpEventId = null;
+    if (decision === 'approve') {
+      if (campaign.max_approved !== null) {
+        const approved = await client.query(
+          "SELECT COUNT(*)::int AS total FROM raid_submissions WHERE campaign_id = $1 AND status = 'approved'",
+          [campaign.id]
+        );
+        if (approved.rows[0].total >= campaign.max_approved) {
+          await client.query('ROLLBACK');
+          return { status: 'cap_reached' };
+        }
+      }
+
+      const { event } = await awardXp({
+        userId: before.user_id,
+        source: 'twitter',
+        amount: campaign.xp_reward,
+        reason: `Raid: ${campaign.title}`,
+        idempotencyKey: `raid:${campaign.id}:${before.user_id}`,
+        metadata: { campaign_id: campaign.id, submission_id: before.id, proof_url: before.proof_url }
+      }, client);
+      xpEventId = event.id;
+    }
+
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+    const after = await client.query(
+      `UPDATE raid_submissions
+       SET status = $2, review_note = $3, reviewed_by = $4, reviewed_at = NOW(), xp_event_id = $5
+       WHERE id = $1
+       RETURNING *`,
+      [submissionId, status, note, adminId, xpEventId]
+    );
+
+    await client.query('COMMIT');
+    return { status, before, after: after.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Reviews each submission in its own transaction, in the order given, so one failure
+// (e.g. the cap being reached) does not undo the others. A submission whose review throws
+// is rolled back and reported as `error`, so the results always match what was committed.
+const reviewRaidSubmissions = async (submissionIds, decision, options) => {
+  const results = [];
+  for (const id of submissionIds) {
+    try {
+      results.push({ id, ...await reviewRaidSubmission(id, decision, options) });
+    } catch (error) {
+      logger.error('Failed to review raid submission', { submission_id: id, error });
+      results.push({ id, status: 'error' });
+    }
+  }
+  return results;
+};
+
+export {
+  RAID_SUBMISSION_STATUSES,
+  EDITABLE_CAMPAIGN_FIELDS,
+  parseTweetUrl,
+  createCampaign,
+  updateCampaign,
+  getCampaign,
+  listCampaigns,
+  submitRaidProof,
+  listCampaignSubmissions,
+  listUserSubmissions,
+  reviewRaidSubmission,
+  reviewRaidSubmissions
+};
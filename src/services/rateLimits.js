@@ -0,0 +1,204 @@
+import { MemoryStore } from 'express-rate-limit';
+import { pool } from '../config/database.js';
+import { env } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+// Storage behind the rate limiters, and the allowlist of client keys that bypass them.
+//
+// The Postgres store keeps one row per policy and client in rate_limit_hits, so every
+// instance counts against the same limit. RATE_LIMIT_STORE picks the backend the same way
+// TOKEN_STORE does: Postgres by default in production, process memory in development.
+
+const createPostgresRateLimitStore = (prefix) => {
+  let windowMs = 60 * 1000;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const result = await pool.query(
+        'SELECT hits, reset_at FROM rate_limit_hits WHERE key = $1 AND reset_at > NOW()',
+        [`${prefix}${key}`]
+      );
+      if (result.rows.length === 0) {
+        return undefined;
+      }
+      return { totalHits: result.rows[0].hits, resetTime: result.rows[0].reset_at };
+    },
+
+    // A single upsert, so concurrent requests on different instances never lose a hit.
+    // An expired window restarts at 1.
+    async increment(key) {
+      const result = await pool.query(
+        `INSERT INTO rate_limit_hits (key, hits, reset_at)
+         VALUES ($1, 1, NOW() + ($2::text || ' milliseconds')::interval)
+         ON CONFLICT (key) DO UPDATE SET
+           hits = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN 1 ELSE rate_limit_hits.hits + 1 END,
+           reset_at = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_hits.reset_at END
+         RETURNING hits, reset_at`,
+        [`${prefix}${key}`, windowMs]
+      );
+      return { totalHits: result.rows[0].hits, resetTime: result.rows[0].reset_at };
+    },
+
+    async decrement(key) {
+      await pool.query(
+        'UPDATE rate_limit_hits SET hits = GREATEST(hits - 1, 0) WHERE key = $1 AND reset_at > NOW()',
+        [`${prefix}${key}`]
+      );
+    },
+
+    async resetKey(key) {
+      await pool.query('DELETE FROM rate_limit_hits WHERE key = $1', [`${prefix}${key}`]);
+    }
+  };
+};
+
+// Keys are prefixed with the policy name so policies never share a counter
+const createRateLimitStore = (policyName) => (env.RATE_LIMIT_STORE === 'postgres'
+  ? createPostgresRateLimitStore(`${policyName}:`)
+  : new MemoryStore());
+
+let cleanupTimer = null;
+
+const cleanupRateLimitHits = async () => {
+  const result = await pool.query('DELETE FROM rate_limit_hits WHERE reset_at <= NOW()');
+  return result.rowCount;
+};
+
+const startRateLimitCleanup = (intervalMs = env.TOKEN_STORE_CLEANUP_INTERVAL_MS) => {
+  if (cleanupTimer || env.RATE_LIMIT_STORE !== 'postgres') {
+    return;
+  }
+  cleanupTimer = setInterval(async () => {
+    try {
+      const removed = await cleanupRateLimitHits();
+      if (removed > 0) {
+        logger.debug('Removed expired rate limit counters', { removed });
+      }
+    } catch (error) {
+      logger.error('Rate limit cleanup failed', { error });
+    }
+  }, intervalMs);
+  cleanupTimer.unref();
+};
+
+const stopRateLimitCleanup = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+};
+
+// --- Allowlist ---
+//
+// Checked on every limited request, so the live entries are cached per instance. Changes
+// made through this instance apply immediately; other instances pick them up within
+// ALLOWLIST_CACHE_TTL_MS.
+
+const ALLOWLIST_CACHE_TTL_MS = 60 * 1000;
+
+const ALLOWLIST_COLUMNS = 'id, key_type, key_value, note, expires_at, created_by, created_at';
+
+let allowlistCache = null;
+
+const normalizeKeyValue = (keyType, keyValue) => {
+  const value = String(keyValue).trim();
+  return keyType === 'wallet' ? value.toLowerCase() : value;
+};
+
+const loadAllowlist = async () => {
+  const result = await pool.query(
+    `SELECT key_type, key_value, expires_at FROM rate_limit_allowlist
+     WHERE expires_at IS NULL OR expires_at > NOW()`
+  );
+  allowlistCache = {
+    loadedAt: Date.now(),
+    entries: new Map(result.rows.map((row) => [`${row.key_type}:${row.key_value}`, row.expires_at])),
+    hasWalletEntries: result.rows.some((row) => row.key_type === 'wallet')
+  };
+  return allowlistCache;
+};
+
+const isListed = (cache, keyType, keyValue) => {
+  if (!keyValue) {
+    return false;
+  }
+  const entryKey = `${keyType}:${normalizeKeyValue(keyType, keyValue)}`;
+  if (!cache.entries.has(entryKey)) {
+    return false;
+  }
+  const expiresAt = cache.entries.get(entryKey);
+  return !expiresAt || expiresAt > new Date();
+};
+
+// identifiers: { ip, twitter_id, wallets }, where wallets() resolves to a list of addresses;
+// any one of them being allowlisted is enough. wallets() is only called when the allowlist
+// has wallet entries.
+const isAllowlisted = async ({ wallets, ...identifiers }) => {
+  let cache = allowlistCache;
+  if (!cache || Date.now() - cache.loadedAt > ALLOWLIST_CACHE_TTL_MS) {
+    try {
+      cache = await loadAllowlist();
+    } catch (error) {
+      // Keep limiting with the last known allowlist rather than failing the request
+      logger.error('Failed to load rate limit allowlist', { error });
+      if (!cache) {
+        return false;
+      }
+    }
+  }
+
+  if (Object.entries(identifiers).some(([keyType, keyValue]) => isListed(cache, keyType, keyValue))) {
+    return true;
+  }
+  if (!wallets || !cache.hasWalletEntries) {
+    return false;
+  }
+  return (await wallets()).some((address) => isListed(cache, 'wallet', address));
+};
+
+const listAllowlistEntries = async () => {
+  const result = await pool.query(`SELECT ${ALLOWLIST_COLUMNS} FROM rate_limit_allowlist ORDER BY created_at DESC`);
+  return result.rows;
+};
+
+// Returns null when the key is already allowlisted
+const addAllowlistEntry = async ({ keyType, keyValue, note = null, expiresAt = null, adminId = null }) => {
+  const result = await pool.query(
+    `INSERT INTO rate_limit_allowlist (key_type, key_value, note, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT ON CONSTRAINT uq_rate_limit_allowlist_key DO NOTHING
+     RETURNING ${ALLOWLIST_COLUMNS}`,
+    [keyType, normalizeKeyValue(keyType, keyValue), note, expiresAt, adminId]
+  );
+  allowlistCache = null;
+  return result.rows[0] || null;
+};
+
+// Resolves to the removed entry, or null if there was none
+const removeAllowlistEntry = async (id) => {
+  const result = await pool.query(
+    `DELETE FROM rate_limit_allowlist WHERE id = $1 RETURNING ${ALLOWLIST_COLUMNS}`,
+    [id]
+  );
+  allowlistCache = null;
+  return result.rows[0] || null;
+};
+
+export {
+  createPostgresRateLimitStore,
+  createRateLimitStore,
+  cleanupRateLimitHits,
+  startRateLimitCleanup,
+  stopRateLimitCleanup,
+  isAllowlisted,
+  listAllowlistEntries,
+  addAllowlistEntry,
+  removeAllowlistEntry
+};
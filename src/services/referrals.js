@@ -0,0 +1,79 @@
+import { pool } from '../config/database.js';
+
+// Every user gets a referral code from the column default (see migration 010). A user can be
+// attributed to one referrer, once. Only active users can refer others and only active
+// referrals count towards a referrer's total.
+
+const REFERRAL_CODE_PATTERN = /^[A-HJKMNP-Z2-9]{8}$/;
+
+// Attributes userId to the owner of referralCode inside the caller's transaction.
+// Resolves to { status: 'linked', referrer, user } or { status: 'invalid_code' | 'self' | 'cycle' | 'already_referred' }.
+const linkReferral = async (client, userId, referralCode) => {
+  const referrer = await client.query(
+    `SELECT id, twitter_username, wallet_address FROM user_profiles
+     WHERE referral_code = $1 AND status = 'active'`,
+    [referralCode.toUpperCase()]
+  );
+  if (referrer.rows.length === 0) {
+    return { status: 'invalid_code' };
+  }
+
+  const referrerId = referrer.rows[0].id;
+  if (referrerId === userId) {
+    return { status: 'self' };
+  }
+
+  // Walk up the referrer's own chain; finding userId there would close a loop
+  const chain = await client.query(
+    `WITH RECURSIVE chain(id, referred_by, depth) AS (
+       SELECT id, referred_by, 1 FROM user_profiles WHERE id = $1
+       UNION ALL
+       SELECT u.id, u.referred_by, chain.depth + 1
+       FROM user_profiles u
+       JOIN chain ON u.id = chain.referred_by
+       WHERE chain.depth < 1000
+     )
+     SELECT 1 FROM chain WHERE id = $2 LIMIT 1`,
+    [referrerId, userId]
+  );
+  if (chain.rows.length > 0) {
+    return { status: 'cycle' };
+  }
+
+  const linked = await client.query(
+    `UPDATE user_profiles SET referred_by = $2, referred_at = NOW()
+     WHERE id = $1 AND referred_by IS NULL
+     RETURNING *`,
+    [userId, referrerId]
+  );
+  if (linked.rows.length === 0) {
+    return { status: 'already_referred' };
+  }
+
+  return { status: 'linked', referrer: referrer.rows[0], user: linked.rows[0] };
+};
+
+const getReferralSummary = async (userId, { limit = 50, offset = 0 } = {}) => {
+  const count = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE status = 'active')::int AS referral_count,
+            COUNT(*)::int AS total_referred
+     FROM user_profiles WHERE referred_by = $1`,
+    [userId]
+  );
+
+  const referrals = await pool.query(
+    `SELECT twitter_username, status, referred_at
+     FROM user_profiles
+     WHERE referred_by = $1
+     ORDER BY referred_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  return {
+    ...count.rows[0],
+    referrals: referrals.rows
+  };
+};
+
+export { REFERRAL_CODE_PATTERN, linkReferral, getReferralSummary };
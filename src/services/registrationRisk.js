@@ -0,0 +1,111 @@
+import { pool } from '../config/database.js';
+import { env } from '../config/env.js';
+import { evaluateRisk } from '../config/risk.js';
+
+// Risk scoring of new registrations and the admin review queue.
+//
+// Registrations scored `flag` are stored active; `review` ones are stored as pending_review,
+// which keeps them off leaderboards, referrals and raids. Both stay in the queue until an
+// admin approves (pending_review becomes active) or rejects (the user is banned) them.
+
+const REVIEW_QUEUE_STATES = ['pending_review', 'flagged', 'all'];
+
+const REVIEW_QUEUE_CONDITIONS = {
+  pending_review: "risk_decision = 'review'",
+  flagged: "risk_decision = 'flag'",
+  all: "risk_decision IN ('flag', 'review')"
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Registrations already made from this IP within RISK_IP_WINDOW_MINUTES, or null without an IP
+const countRecentRegistrations = async (ip, client = pool) => {
+  if (!ip) {
+    return null;
+  }
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS count FROM user_profiles
+     WHERE registration_ip = $1 AND created_at > NOW() - make_interval(mins => $2)`,
+    [ip, env.RISK_IP_WINDOW_MINUTES]
+  );
+  return result.rows[0].count;
+};
+
+// `account` is the Twitter account from the session (services/twitterAccount.js), null for
+// sessions issued before account signals were captured.
+// Resolves to { score, decision, reasons, signals }.
+const assessRegistration = async ({ account, ip }, client = pool) => {
+  const createdAt = account?.created_at ? new Date(account.created_at) : null;
+  const signals = {
+    account_age_days: createdAt ? Math.floor((Date.now() - createdAt.getTime()) / DAY_MS) : null,
+    followers_count: account?.followers_count ?? null,
+    following_count: account?.following_count ?? null,
+    tweet_count: account?.tweet_count ?? null,
+    default_profile_image: account?.default_profile_image ?? null,
+    verified: account?.verified ?? null,
+    ip_registrations: await countRecentRegistrations(ip, client)
+  };
+  return { ...evaluateRisk(signals), signals };
+};
+
+// Unreviewed flagged and held registrations, oldest first
+const listReviewQueue = async ({ state = 'pending_review', limit = 50, offset = 0 } = {}) => {
+  const condition = REVIEW_QUEUE_CONDITIONS[state];
+  const [result, count] = await Promise.all([
+    pool.query(
+      `SELECT * FROM user_profiles
+       WHERE reviewed_at IS NULL AND ${condition}
+       ORDER BY created_at, id
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*)::int AS total FROM user_profiles WHERE reviewed_at IS NULL AND ${condition}`)
+  ]);
+  return { users: result.rows, total: count.rows[0].total };
+};
+
+// Approves or rejects a registration in the review queue. Approving activates a held
+// registration; rejecting bans the user with the note as the reason.
+// Resolves to { status: 'reviewed', before, after } or { status: 'not_found' | 'not_in_queue' }.
+const reviewRegistration = async (userId, decision, { adminId, note = null }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM user_profiles WHERE id = $1 FOR UPDATE', [userId]);
+    const before = current.rows[0];
+    if (!before) {
+      await client.query('ROLLBACK');
+      return { status: 'not_found' };
+    }
+    if (before.reviewed_at || !['flag', 'review'].includes(before.risk_decision)) {
+      await client.query('ROLLBACK');
+      return { status: 'not_in_queue' };
+    }
+
+    // A user banned while waiting stays banned when approved
+    const assignments = decision === 'approve'
+      ? "status = CASE WHEN status = 'pending_review' THEN 'active' ELSE status END"
+      : "status = 'banned', ban_reason = COALESCE($3, 'Rejected in registration review'), banned_at = NOW(), banned_by = $2";
+    const updated = await client.query(
+      `UPDATE user_profiles
+       SET ${assignments}, reviewed_at = NOW(), reviewed_by = $2, review_note = $3
+       WHERE id = $1
+       RETURNING *`,
+      [userId, adminId, note]
+    );
+    await client.query('COMMIT');
+    return { status: 'reviewed', before, after: updated.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export {
+  REVIEW_QUEUE_STATES,
+  assessRegistration,
+  listReviewQueue,
+  reviewRegistration
+};
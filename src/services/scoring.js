@@ -0,0 +1,102 @@
+import { pool } from '../config/database.js';
+import { XP_SOURCES, computeTotalScore } from '../config/scoring.js';
+import { detectWalletChain, normalizeWalletAddress } from '../utils/walletAddress.js';
+
+// Append-only XP ledger. Scores are never stored directly: every award is an xp_events row
+// and per-user totals are derived from the ledger. Corrections are new rows with a negative amount.
+
+// Finds the user a wallet on any supported chain is linked to
+const findUserByWallet = async (walletAddress, client = pool) => {
+  const chain = detectWalletChain(walletAddress);
+  if (!chain) {
+    return null;
+  }
+  const result = await client.query(
+    `SELECT u.* FROM user_profiles u
+     JOIN user_wallets w ON w.user_id = u.id
+     WHERE w.chain = $1 AND w.address = $2`,
+    [chain, normalizeWalletAddress(chain, walletAddress)]
+  );
+  return result.rows[0] || null;
+};
+
+// Records an XP event. The idempotency key makes retries safe: awarding the same key twice
+// returns the original event with created = false instead of counting it again.
+const awardXp = async ({ userId, source, amount, reason, idempotencyKey, metadata = {} }, client = pool) => {
+  if (!XP_SOURCES.includes(source)) {
+    throw new Error(`Unknown XP source: ${source}`);
+  }
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw new Error('XP amount must be a non-zero integer');
+  }
+  if (!idempotencyKey) {
+    throw new Error('An idempotency key is required to award XP');
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO xp_events (user_id, wallet_address, source, amount, reason, idempotency_key, metadata)
+     SELECT id, wallet_address, $2, $3, $4, $5, $6
+     FROM user_profiles WHERE id = $1
+     ON CONFLICT (idempotency_key) DO NOTHING
+     RETURNING *`,
+    [userId, source, amount, reason, idempotencyKey, JSON.stringify(metadata)]
+  );
+
+  if (inserted.rows.length > 0) {
+    return { event: inserted.rows[0], created: true };
+  }
+
+  const existing = await client.query('SELECT * FROM xp_events WHERE idempotency_key = $1', [idempotencyKey]);
+  if (existing.rows.length === 0) {
+    throw new Error(`User ${userId} does not exist`);
+  }
+  return { event: existing.rows[0], created: false };
+};
+
+const getScoreBreakdown = async (user, client = pool) => {
+  const result = await client.query(
+    'SELECT source, COALESCE(SUM(amount), 0)::int AS xp FROM xp_events WHERE user_id = $1 GROUP BY source',
+    [user.id]
+  );
+
+  const breakdown = Object.fromEntries(XP_SOURCES.map((source) => [source, 0]));
+  for (const row of result.rows) {
+    breakdown[row.source] = row.xp;
+  }
+
+  return {
+    wallet_address: user.wallet_address,
+    twitter_xp: breakdown.twitter,
+    telegram_xp: breakdown.telegram,
+    trading_xp: breakdown.trading,
+    total_score: computeTotalScore(breakdown)
+  };
+};
+
+const getScoreHistory = async (user, { limit = 50, offset = 0, source } = {}, client = pool) => {
+  const params = [user.id];
+  let sourceFilter = '';
+  if (source) {
+    params.push(source);
+    sourceFilter = `AND source = $${params.length}`;
+  }
+
+  const count = await client.query(
+    `SELECT COUNT(*)::int AS total FROM xp_events WHERE user_id = $1 ${sourceFilter}`,
+    params
+  );
+
+  params.push(limit, offset);
+  const result = await client.query(
+    `SELECT id, source, amount, reason, metadata, created_at
+     FROM xp_events
+     WHERE user_id = $1 ${sourceFilter}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return { events: result.rows, total: count.rows[0].total };
+};
+
+export { findUserByWallet, awardXp, getScoreBreakdown, getScoreHistory };
@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+
+// Verification of Telegram Login Widget data, see https://core.telegram.org/widgets/login#checking-authorization
+// The widget signs every field it returns with HMAC-SHA256 keyed by SHA256(bot token), so the
+// check needs nothing but the bot token and works without calling Telegram.
+
+const TELEGRAM_AUTH_MAX_AGE_SECONDS = env.TELEGRAM_AUTH_MAX_AGE_SECONDS;
+
+// Every received field except `hash`, sorted and joined as key=value lines
+const buildDataCheckString = (data) => Object.keys(data)
+  .filter((field) => field !== 'hash' && data[field] !== undefined && data[field] !== null)
+  .sort()
+  .map((field) => `${field}=${data[field]}`)
+  .join('\n');
+
+const signTelegramData = (data, botToken) => {
+  const secretKey = crypto.createHash('sha256').update(botToken).digest();
+  return crypto.createHmac('sha256', secretKey).update(buildDataCheckString(data)).digest('hex');
+};
+
+// Resolves to { valid: true, telegram } with the verified identity, or { valid: false, error }
+const verifyTelegramLogin = (data) => {
+  const botToken = env.TELEGRAM_BOT_TOKEN;
+  if (!botToken) {
+    throw new Error('TELEGRAM_BOT_TOKEN is not configured');
+  }
+
+  if (!data || typeof data !== 'object' || typeof data.hash !== 'string') {
+    return { valid: false, error: 'Telegram login data is missing' };
+  }
+
+  const expected = Buffer.from(signTelegramData(data, botToken), 'hex');
+  const actual = Buffer.from(data.hash, 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Telegram login data signature is invalid' };
+  }
+
+  const authDate = parseInt(data.auth_date);
+  const age = Math.floor(Date.now() / 1000) - authDate;
+  if (!Number.isFinite(authDate) || age > TELEGRAM_AUTH_MAX_AGE_SECONDS || age < -60) {
+    return { valid: false, error: 'Telegram login has expired, please sign in with Telegram again' };
+  }
+
+  if (!data.username) {
+    return { valid: false, error: 'Your Telegram account needs a public username to register' };
+  }
+
+  return {
+    valid: true,
+    telegram: {
+      telegram_user_id: String(data.id),
+      telegram_username: String(data.username)
+    }
+  };
+};
+
+export { signTelegramData, verifyTelegramLogin };
@@ -0,0 +1,166 @@
+import { pool } from '../config/database.js';
+import { env } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+// Short-lived key/value storage for OAuth request tokens and similar one-time secrets.
+// Every entry has a TTL; expired entries are never returned and are purged periodically.
+//
+// Two backends share the same interface:
+//   set(key, value, ttlMs)  - store a JSON-serialisable value
+//   get(key)                - read a value without consuming it
+//   take(key)               - read and delete atomically (single use)
+//   delete(key)
+//   cleanup()               - purge expired entries, resolves to the number removed
+//
+// The Postgres store survives restarts and is shared by every instance, so an OAuth
+// callback can land on a different instance than the one that started the flow.
+
+const createMemoryTokenStore = (namespace) => {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt <= Date.now();
+
+  return {
+    namespace,
+    backend: 'memory',
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async take(key) {
+      const value = await this.get(key);
+      entries.delete(key);
+      return value;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async cleanup() {
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (isExpired(entry)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+};
+
+const createPostgresTokenStore = (namespace) => ({
+  namespace,
+  backend: 'postgres',
+
+  async set(key, value, ttlMs) {
+    await pool.query(
+      `INSERT INTO temp_tokens (namespace, token_key, value, expires_at)
+       VALUES ($1, $2, $3, NOW() + ($4::text || ' milliseconds')::interval)
+       ON CONFLICT (namespace, token_key)
+       DO UPDATE SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at`,
+      [namespace, key, JSON.stringify(value), ttlMs]
+    );
+  },
+
+  async get(key) {
+    const result = await pool.query(
+      'SELECT value FROM temp_tokens WHERE namespace = $1 AND token_key = $2 AND expires_at > NOW()',
+      [namespace, key]
+    );
+    return result.rows.length > 0 ? result.rows[0].value : null;
+  },
+
+  async take(key) {
+    // DELETE ... RETURNING makes the read-and-consume atomic across instances
+    const result = await pool.query(
+      'DELETE FROM temp_tokens WHERE namespace = $1 AND token_key = $2 RETURNING value, expires_at > NOW() AS valid',
+      [namespace, key]
+    );
+    if (result.rows.length === 0 || !result.rows[0].valid) {
+      return null;
+    }
+    return result.rows[0].value;
+  },
+
+  async delete(key) {
+    await pool.query('DELETE FROM temp_tokens WHERE namespace = $1 AND token_key = $2', [namespace, key]);
+  },
+
+  async cleanup() {
+    const result = await pool.query(
+      'DELETE FROM temp_tokens WHERE namespace = $1 AND expires_at <= NOW()',
+      [namespace]
+    );
+    return result.rowCount;
+  }
+});
+
+const stores = new Map();
+let cleanupTimer = null;
+
+const getTokenStore = (namespace) => {
+  if (!stores.has(namespace)) {
+    // TOKEN_STORE selects the backend; Postgres is the default in production so that
+    // multi-instance deployments work, memory is the default for local development.
+    const store = env.TOKEN_STORE === 'postgres'
+      ? createPostgresTokenStore(namespace)
+      : createMemoryTokenStore(namespace);
+    stores.set(namespace, store);
+  }
+  return stores.get(namespace);
+};
+
+const cleanupTokenStores = async () => {
+  let removed = 0;
+  for (const store of stores.values()) {
+    try {
+      removed += await store.cleanup();
+    } catch (error) {
+      logger.error('Token store cleanup failed', { namespace: store.namespace, error });
+    }
+  }
+  return removed;
+};
+
+const startTokenStoreCleanup = (intervalMs = env.TOKEN_STORE_CLEANUP_INTERVAL_MS) => {
+  if (cleanupTimer) {
+    return;
+  }
+  cleanupTimer = setInterval(async () => {
+    const removed = await cleanupTokenStores();
+    if (removed > 0) {
+      logger.info('🧹 Removed expired temporary tokens', { removed });
+    }
+  }, intervalMs);
+  // Never keep the process alive just for cleanup
+  cleanupTimer.unref();
+};
+
+const stopTokenStoreCleanup = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+};
+
+export {
+  createMemoryTokenStore,
+  createPostgresTokenStore,
+  getTokenStore,
+  cleanupTokenStores,
+  startTokenStoreCleanup,
+  stopTokenStoreCleanup
+};
@@ -0,0 +1,38 @@
+// Twitter account signals captured at login, used by registration risk scoring
+// (config/risk.js). Providers map their API's field names onto this shape; anything the API
+// did not return is null.
+//
+//   { created_at, followers_count, following_count, tweet_count, default_profile_image, verified }
+
+const countOrNull = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+
+const booleanOrNull = (value) => (typeof value === 'boolean' ? value : null);
+
+const dateOrNull = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+const buildTwitterAccount = (fields) => ({
+  created_at: dateOrNull(fields.created_at),
+  followers_count: countOrNull(fields.followers_count),
+  following_count: countOrNull(fields.following_count),
+  tweet_count: countOrNull(fields.tweet_count),
+  default_profile_image: booleanOrNull(fields.default_profile_image),
+  verified: booleanOrNull(fields.verified)
+});
+
+// Twitter serves the egg/silhouette avatars from this path
+const isDefaultProfileImage = (url) => (typeof url === 'string' && url !== ''
+  ? url.includes('/default_profile_images/')
+  : null);
+
+// Error code for a failed profile fetch with a stored user token (see fetchProfile in
+// services/twitterAuth.js) from the Twitter API's HTTP status
+const profileFetchError = (status) => {
+  if (status === 401) return 'unauthorized';
+  if (status === 429) return 'rate_limited';
+  return 'failed';
+};
+
+export { buildTwitterAccount, isDefaultProfileImage, profileFetchError };
@@ -0,0 +1,22 @@
+import * as oauth1 from './twitterOAuth1.js';
+import * as oauth2 from './twitterOAuth2.js';
+import * as sandbox from './twitterSandbox.js';
+import { TWITTER_AUTH_FLOW } from '../config/twitter.js';
+
+// Both providers expose the same interface:
+//   isConfigured()                      -> boolean
+//   configurationError                  -> message shown when not configured
+//   startAuthorization(callbackUrl)     -> Promise<auth_url>
+//   completeAuthorization(query)        -> Promise<{ identity, credentials } | { error }>
+//   fetchProfile(credentials)           -> Promise<{ identity, credentials? } | { error }>
+// identity is { twitter_id, twitter_username, twitter_name, profile_image, description, account },
+// where account holds the signals used for registration risk scoring (see
+// services/twitterAccount.js). credentials are the user's tokens, which fetchProfile uses to
+// read the profile again later; it returns new credentials when it had to refresh them, and
+// fails with 'unauthorized', 'rate_limited' or 'failed' (see profileFetchError).
+const TWITTER_AUTH_PROVIDERS = { oauth1, oauth2, sandbox };
+
+// TWITTER_AUTH_FLOW is read when the Twitter config is initialized, so resolve on every call
+const getTwitterAuthProvider = () => TWITTER_AUTH_PROVIDERS[TWITTER_AUTH_FLOW];
+
+export { TWITTER_AUTH_PROVIDERS, getTwitterAuthProvider };
@@ -0,0 +1,157 @@
+import fetch from 'node-fetch';
+import { getTokenStore } from './tokenStore.js';
+import { buildTwitterAccount, profileFetchError } from './twitterAccount.js';
+import { env } from '../config/env.js';
+import {
+  oauth,
+  TWITTER_REQUEST_TOKEN_URL,
+  TWITTER_AUTHORIZE_URL,
+  TWITTER_ACCESS_TOKEN_URL,
+  TWITTER_USER_INFO_URL
+} from '../config/twitter.js';
+import { logger } from '../utils/logger.js';
+
+// OAuth 1.0a login: request token -> user authorizes -> access token -> v1.1 verify_credentials
+//
+// User access tokens don't expire, so the credentials kept for profile refreshes are the
+// token and its secret until the user revokes the app.
+
+// Request token secrets only need to outlive the user's trip to Twitter and back
+const OAUTH_REQUEST_TOKEN_TTL_MS = env.OAUTH_REQUEST_TOKEN_TTL_MINUTES * 60 * 1000;
+const oauthRequestTokens = getTokenStore('oauth1_request_token');
+
+const isConfigured = () => oauth !== null;
+
+const configurationError = 'Twitter API credentials not configured. Please add TWITTER_API_KEY and TWITTER_API_SECRET to your environment variables.';
+
+// Resolves to the Twitter URL the user should be sent to
+const startAuthorization = async (callbackUrl) => {
+  const requestData = {
+    url: TWITTER_REQUEST_TOKEN_URL,
+    method: 'POST',
+    data: { oauth_callback: callbackUrl }
+  };
+  const headers = oauth.toHeader(oauth.authorize(requestData));
+
+  const response = await fetch(TWITTER_REQUEST_TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      ...headers,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ oauth_callback: callbackUrl })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    logger.error('Twitter request token failed', {
+      status: response.status,
+      statusText: response.statusText,
+      body: errorText
+    });
+    throw new Error(`Failed to get request token: ${errorText}`);
+  }
+
+  const tokenData = new URLSearchParams(await response.text());
+  const oauth_token = tokenData.get('oauth_token');
+  const oauth_token_secret = tokenData.get('oauth_token_secret');
+
+  if (!oauth_token || !oauth_token_secret) {
+    throw new Error('Invalid response from Twitter');
+  }
+
+  // Keep the token secret until the callback exchanges it (shared across instances)
+  await oauthRequestTokens.set(oauth_token, { oauth_token_secret }, OAUTH_REQUEST_TOKEN_TTL_MS);
+
+  return `${TWITTER_AUTHORIZE_URL}?oauth_token=${oauth_token}`;
+};
+
+// Reads the user's profile with their access token. Resolves to { identity } or { error }
+// with a profileFetchError code.
+const fetchUserInfo = async (userToken) => {
+  const userRequestData = {
+    url: TWITTER_USER_INFO_URL,
+    method: 'GET'
+  };
+  const userResponse = await fetch(TWITTER_USER_INFO_URL, {
+    headers: oauth.toHeader(oauth.authorize(userRequestData, userToken))
+  });
+
+  if (!userResponse.ok) {
+    return { error: profileFetchError(userResponse.status) };
+  }
+
+  const userData = await userResponse.json();
+  return {
+    identity: {
+      twitter_id: userData.id_str,
+      twitter_username: userData.screen_name,
+      twitter_name: userData.name,
+      profile_image: userData.profile_image_url_https,
+      description: userData.description ?? null,
+      account: buildTwitterAccount({
+        created_at: userData.created_at,
+        followers_count: userData.followers_count,
+        following_count: userData.friends_count,
+        tweet_count: userData.statuses_count,
+        default_profile_image: userData.default_profile_image,
+        verified: userData.verified
+      })
+    }
+  };
+};
+
+// Resolves to { identity, credentials } or { error } where error is the code passed to the frontend
+const completeAuthorization = async (query) => {
+  const { oauth_token, oauth_verifier } = query;
+  if (!oauth_token || !oauth_verifier) {
+    return { error: 'missing_oauth_params' };
+  }
+
+  // Consume the stored token secret - each request token can only be used once
+  const storedToken = await oauthRequestTokens.take(oauth_token);
+  if (!storedToken) {
+    return { error: 'invalid_token' };
+  }
+
+  const requestData = {
+    url: TWITTER_ACCESS_TOKEN_URL,
+    method: 'POST',
+    data: { oauth_verifier }
+  };
+  const token = { key: oauth_token, secret: storedToken.oauth_token_secret };
+
+  const response = await fetch(TWITTER_ACCESS_TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      ...oauth.toHeader(oauth.authorize(requestData, token)),
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ oauth_verifier })
+  });
+
+  if (!response.ok) {
+    return { error: 'access_token_failed' };
+  }
+
+  const accessData = new URLSearchParams(await response.text());
+  const userToken = {
+    key: accessData.get('oauth_token'),
+    secret: accessData.get('oauth_token_secret')
+  };
+
+  if (!userToken.key || !userToken.secret) {
+    return { error: 'invalid_access_token' };
+  }
+
+  const result = await fetchUserInfo(userToken);
+  if (result.error) {
+    return { error: 'user_info_failed' };
+  }
+  return { ...result, credentials: { token: userToken.key, token_secret: userToken.secret } };
+};
+
+// Re-reads the profile with stored credentials. Resolves to { identity } or { error }.
+const fetchProfile = (credentials) => fetchUserInfo({ key: credentials.token, secret: credentials.token_secret });
+
+export { isConfigured, configurationError, startAuthorization, completeAuthorization, fetchProfile };
@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { getTokenStore } from './tokenStore.js';
+import { buildTwitterAccount, isDefaultProfileImage, profileFetchError } from './twitterAccount.js';
+import { env } from '../config/env.js';
+import {
+  TWITTER_CLIENT_ID,
+  TWITTER_CLIENT_SECRET,
+  TWITTER_OAUTH2_SCOPES,
+  TWITTER_OAUTH2_AUTHORIZE_URL,
+  TWITTER_OAUTH2_TOKEN_URL,
+  TWITTER_OAUTH2_USER_INFO_URL
+} from '../config/twitter.js';
+import { logger } from '../utils/logger.js';
+
+// OAuth 2.0 Authorization Code flow with PKCE (S256) -> v2 users/me.
+//
+// `state` keys the stored code_verifier, so the callback can only complete a flow this backend
+// started, and each state is consumed on first use. A client secret is optional: without one
+// the backend acts as a public client.
+//
+// Access tokens expire after about two hours. With the offline.access scope Twitter also
+// issues a refresh token, which profile refreshes use to get a new access token (Twitter
+// rotates the refresh token on every use, so the new pair has to be stored).
+
+const PKCE_TTL_MS = env.OAUTH_REQUEST_TOKEN_TTL_MINUTES * 60 * 1000;
+const pkceStore = getTokenStore('oauth2_pkce');
+
+const isConfigured = () => Boolean(TWITTER_CLIENT_ID);
+
+const configurationError = 'Twitter OAuth 2.0 client not configured. Please add TWITTER_CLIENT_ID (and TWITTER_CLIENT_SECRET for confidential clients) to your environment variables.';
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const startAuthorization = async (callbackUrl) => {
+  const state = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(48));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await pkceStore.set(state, { code_verifier: codeVerifier, redirect_uri: callbackUrl }, PKCE_TTL_MS);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: TWITTER_CLIENT_ID,
+    redirect_uri: callbackUrl,
+    scope: TWITTER_OAUTH2_SCOPES.join(' '),
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return `${TWITTER_OAUTH2_AUTHORIZE_URL}?${params.toString()}`;
+};
+
+const tokenRequestHeaders = () => {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (TWITTER_CLIENT_SECRET) {
+    const credentials = Buffer.from(`${TWITTER_CLIENT_ID}:${TWITTER_CLIENT_SECRET}`).toString('base64');
+    headers.Authorization = `Basic ${credentials}`;
+  }
+  return headers;
+};
+
+// expires_in is in seconds; expires_at is stored as epoch milliseconds
+const toCredentials = (tokenData) => ({
+  access_token: tokenData.access_token,
+  refresh_token: tokenData.refresh_token ?? null,
+  expires_at: Number.isFinite(tokenData.expires_in) ? Date.now() + tokenData.expires_in * 1000 : null
+});
+
+// Reads the user's profile with an access token. Resolves to { identity } or { error } with a
+// profileFetchError code.
+const fetchUserInfo = async (accessToken) => {
+  const userResponse = await fetch(TWITTER_OAUTH2_USER_INFO_URL, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  if (!userResponse.ok) {
+    return { error: profileFetchError(userResponse.status) };
+  }
+
+  const { data } = await userResponse.json();
+  if (!data || !data.id) {
+    return { error: 'failed' };
+  }
+
+  return {
+    identity: {
+      twitter_id: data.id,
+      twitter_username: data.username,
+      twitter_name: data.name,
+      profile_image: data.profile_image_url,
+      description: data.description ?? null,
+      // created_at, public_metrics and verified need the matching user.fields in
+      // TWITTER_OAUTH2_USER_INFO_URL
+      account: buildTwitterAccount({
+        created_at: data.created_at,
+        followers_count: data.public_metrics?.followers_count,
+        following_count: data.public_metrics?.following_count,
+        tweet_count: data.public_metrics?.tweet_count,
+        default_profile_image: isDefaultProfileImage(data.profile_image_url),
+        verified: data.verified
+      })
+    }
+  };
+};
+
+// Resolves to { identity, credentials } or { error } where error is the code passed to the frontend
+const completeAuthorization = async (query) => {
+  const { code, state } = query;
+  if (!state) {
+    return { error: 'missing_oauth_params' };
+  }
+
+  // Consume the state even when the user denied access (?error=access_denied, no code)
+  const stored = await pkceStore.take(state);
+  if (!code) {
+    return { error: 'missing_oauth_params' };
+  }
+  if (!stored) {
+    return { error: 'invalid_token' };
+  }
+
+  const response = await fetch(TWITTER_OAUTH2_TOKEN_URL, {
+    method: 'POST',
+    headers: tokenRequestHeaders(),
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: stored.redirect_uri,
+      code_verifier: stored.code_verifier,
+      client_id: TWITTER_CLIENT_ID
+    })
+  });
+
+  if (!response.ok) {
+    logger.error('Twitter OAuth 2.0 token exchange failed', { status: response.status, body: await response.text() });
+    return { error: 'access_token_failed' };
+  }
+
+  const tokenData = await response.json();
+  if (!tokenData.access_token) {
+    return { error: 'invalid_access_token' };
+  }
+
+  const result = await fetchUserInfo(tokenData.access_token);
+  if (result.error) {
+    return { error: 'user_info_failed' };
+  }
+  return { ...result, credentials: toCredentials(tokenData) };
+};
+
+// Exchanges a refresh token for a new token pair. Resolves to { credentials } or { error }.
+const refreshCredentials = async (refreshToken) => {
+  const response = await fetch(TWITTER_OAUTH2_TOKEN_URL, {
+    method: 'POST',
+    headers: tokenRequestHeaders(),
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: TWITTER_CLIENT_ID
+    })
+  });
+
+  if (!response.ok) {
+    // An invalid or revoked refresh token is a 400 invalid_grant
+    return { error: response.status === 400 ? 'unauthorized' : profileFetchError(response.status) };
+  }
+
+  const tokenData = await response.json();
+  return tokenData.access_token ? { credentials: toCredentials(tokenData) } : { error: 'failed' };
+};
+
+// Refresh this long before the access token expires
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Re-reads the profile with stored credentials, refreshing the access token when it has
+// expired or is rejected. Resolves to { identity } or { error }, plus `credentials` with the
+// new token pair whenever the tokens were refreshed.
+const fetchProfile = async (credentials) => {
+  let current = credentials;
+  let refreshed = false;
+
+  const refresh = async () => {
+    const result = await refreshCredentials(current.refresh_token);
+    if (result.credentials) {
+      // Keep the old refresh token if Twitter didn't send a new one
+      current = { ...result.credentials, refresh_token: result.credentials.refresh_token ?? current.refresh_token };
+      refreshed = true;
+    }
+    return result;
+  };
+
+  if (current.refresh_token && current.expires_at && current.expires_at - EXPIRY_MARGIN_MS <= Date.now()) {
+    const result = await refresh();
+    if (result.error) {
+      return result;
+    }
+  }
+
+  let result = await fetchUserInfo(current.access_token);
+  if (result.error === 'unauthorized' && current.refresh_token && !refreshed) {
+    const refreshResult = await refresh();
+    if (refreshResult.error) {
+      return refreshResult;
+    }
+    result = await fetchUserInfo(current.access_token);
+  }
+
+  // Twitter has already invalidated the old refresh token, so the new pair is returned even
+  // when reading the profile failed
+  return refreshed ? { ...result, credentials: current } : result;
+};
+
+export { isConfigured, configurationError, startAuthorization, completeAuthorization, fetchProfile };
@@ -0,0 +1,341 @@
+import { pool } from '../config/database.js';
+import { env } from '../config/env.js';
+import { getTokenStore } from './tokenStore.js';
+import { TWITTER_AUTH_PROVIDERS } from './twitterAuth.js';
+import { recordProfileChanges } from './profile.js';
+import { recordProfileRefresh } from './metrics.js';
+import { sealJson, openJson } from '../utils/secretBox.js';
+import { logger } from '../utils/logger.js';
+
+// Twitter profile snapshots: the latest copy of each registered user's public Twitter profile
+// (avatar, bio, counts) in twitter_profile_snapshots.
+//
+// Every login refreshes the snapshot of a registered user. The user's OAuth tokens are kept,
+// encrypted with TWITTER_TOKEN_ENCRYPTION_KEY, so a scheduled job can read the profile again
+// every PROFILE_REFRESH_STALE_HOURS without the user logging in. Logins before registration
+// are held in the token store until /register claims them.
+//
+// A changed handle or display name is copied to user_profiles, which leaderboards and exports
+// read, and recorded in user_profile_history as a system change.
+
+const pendingLogins = getTokenStore('twitter_login');
+const PENDING_LOGIN_TTL_MS = env.TWITTER_SESSION_TTL_MINUTES * 60 * 1000;
+
+const REFRESH_LOCK_SQL = "SELECT pg_try_advisory_lock(hashtext('madcat_profile_refresh')) AS locked";
+const REFRESH_UNLOCK_SQL = "SELECT pg_advisory_unlock(hashtext('madcat_profile_refresh'))";
+
+const SNAPSHOT_COLUMNS = `twitter_username, twitter_name, profile_image_url, description, followers_count,
+  following_count, tweet_count, verified, source, fetched_at`;
+
+let refreshTimer = null;
+
+// Sealed credentials, or null when no encryption key is configured and tokens are not kept
+const sealCredentials = (credentials) => (env.TWITTER_TOKEN_ENCRYPTION_KEY && credentials
+  ? sealJson(credentials, env.TWITTER_TOKEN_ENCRYPTION_KEY)
+  : null);
+
+const getProfileSnapshot = async (userId, client = pool) => {
+  const result = await client.query(
+    `SELECT ${SNAPSHOT_COLUMNS} FROM twitter_profile_snapshots WHERE user_id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+const saveSnapshot = async (client, user, identity, source) => {
+  const account = identity.account || {};
+  await client.query(
+    `INSERT INTO twitter_profile_snapshots (
+       user_id, twitter_id, twitter_username, twitter_name, profile_image_url, description,
+       followers_count, following_count, tweet_count, verified, source, fetched_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET
+       twitter_id = EXCLUDED.twitter_id,
+       twitter_username = EXCLUDED.twitter_username,
+       twitter_name = EXCLUDED.twitter_name,
+       profile_image_url = EXCLUDED.profile_image_url,
+       description = EXCLUDED.description,
+       followers_count = EXCLUDED.followers_count,
+       following_count = EXCLUDED.following_count,
+       tweet_count = EXCLUDED.tweet_count,
+       verified = EXCLUDED.verified,
+       source = EXCLUDED.source,
+       fetched_at = EXCLUDED.fetched_at`,
+    [
+      user.id, user.twitter_id, identity.twitter_username, identity.twitter_name || null,
+      identity.profile_image || null, identity.description || null,
+      account.followers_count ?? null, account.following_count ?? null, account.tweet_count ?? null,
+      account.verified ?? null, source
+    ]
+  );
+};
+
+const saveCredentials = async (client, userId, flow, sealedCredentials) => {
+  await client.query(
+    `INSERT INTO twitter_user_tokens (user_id, flow, credentials, last_attempt_at, last_error, updated_at)
+     VALUES ($1, $2, $3, NOW(), NULL, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET
+       flow = EXCLUDED.flow,
+       credentials = EXCLUDED.credentials,
+       last_attempt_at = EXCLUDED.last_attempt_at,
+       last_error = NULL,
+       updated_at = NOW()`,
+    [userId, flow, sealedCredentials]
+  );
+};
+
+// Copies a renamed handle or display name to the profile and snapshots the identity, inside
+// the caller's transaction on the locked user row. Resolves to the user row after the change.
+const applyTwitterIdentity = async (client, user, identity, source) => {
+  const changes = {
+    twitter_username: identity.twitter_username || user.twitter_username,
+    twitter_name: identity.twitter_name || user.twitter_name
+  };
+
+  let after = user;
+  if (changes.twitter_username !== user.twitter_username || changes.twitter_name !== user.twitter_name) {
+    const updated = await client.query(
+      'UPDATE user_profiles SET twitter_username = $2, twitter_name = $3 WHERE id = $1 RETURNING *',
+      [user.id, changes.twitter_username, changes.twitter_name]
+    );
+    after = updated.rows[0];
+    await recordProfileChanges(client, user, after, { actorType: 'system' });
+    logger.info('Twitter profile renamed', {
+      user_id: user.id,
+      twitter_username: after.twitter_username,
+      previous_username: user.twitter_username,
+      source
+    });
+  }
+
+  await saveSnapshot(client, after, identity, source);
+  return after;
+};
+
+// Runs `change(client, user)` in a transaction holding the lock on the user's profile.
+// Resolves to the change's result, or null when no user matches.
+const withLockedUser = async (where, params, change) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query(`SELECT * FROM user_profiles WHERE ${where} FOR UPDATE`, params);
+    const user = current.rows[0];
+    const result = user ? await change(client, user) : null;
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Called by the OAuth callback with the provider's identity and credentials. A registered
+// user's profile is updated straight away; otherwise the login waits for /register.
+// Resolves to { status: 'updated', user, before } or { status: 'pending' }.
+const recordTwitterLogin = async (flow, identity, credentials) => {
+  const sealedCredentials = sealCredentials(credentials);
+  const result = await withLockedUser('twitter_id = $1', [identity.twitter_id], async (client, before) => {
+    const user = await applyTwitterIdentity(client, before, identity, 'login');
+    if (sealedCredentials) {
+      await saveCredentials(client, user.id, flow, sealedCredentials);
+    }
+    return { status: 'updated', user, before };
+  });
+  if (result) {
+    return result;
+  }
+
+  await pendingLogins.set(identity.twitter_id, { flow, identity, credentials: sealedCredentials }, PENDING_LOGIN_TTL_MS);
+  return { status: 'pending' };
+};
+
+// Stores the snapshot and tokens of the login a new registration came from. Resolves to
+// whether a login was waiting.
+const claimTwitterLogin = async (user) => {
+  const login = await pendingLogins.take(user.twitter_id);
+  if (!login) {
+    return false;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await saveSnapshot(client, user, login.identity, 'registration');
+    if (login.credentials) {
+      await saveCredentials(client, user.id, login.flow, login.credentials);
+    }
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const recordRefreshFailure = async (userId, error) => {
+  await pool.query(
+    'UPDATE twitter_user_tokens SET last_attempt_at = NOW(), last_error = $2 WHERE user_id = $1',
+    [userId, error]
+  );
+};
+
+// Reads a user's profile from Twitter with their stored tokens and applies it.
+// Resolves to { status: 'refreshed', user, before } or
+// { status: 'not_found' | 'no_credentials' | 'unavailable' | 'unauthorized' | 'rate_limited' | 'failed' }.
+// Tokens Twitter no longer accepts, or that can't be decrypted with the current key, are
+// dropped; the user's next login stores new ones.
+const refreshTwitterProfile = async (userId) => {
+  const found = await pool.query(
+    `SELECT u.twitter_id, t.flow, t.credentials
+     FROM user_profiles u
+     LEFT JOIN twitter_user_tokens t ON t.user_id = u.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  const row = found.rows[0];
+  if (!row) {
+    return { status: 'not_found' };
+  }
+  if (!row.credentials) {
+    return { status: 'no_credentials' };
+  }
+
+  const provider = TWITTER_AUTH_PROVIDERS[row.flow];
+  if (!env.TWITTER_TOKEN_ENCRYPTION_KEY || !provider || !provider.isConfigured()) {
+    await recordRefreshFailure(userId, 'unavailable');
+    return { status: 'unavailable' };
+  }
+
+  const credentials = openJson(row.credentials, env.TWITTER_TOKEN_ENCRYPTION_KEY);
+  if (!credentials) {
+    logger.warn('Dropping Twitter tokens that could not be decrypted', { user_id: userId });
+    await pool.query('DELETE FROM twitter_user_tokens WHERE user_id = $1', [userId]);
+    return { status: 'unavailable' };
+  }
+
+  const fetched = await provider.fetchProfile(credentials);
+  if (fetched.credentials) {
+    await pool.query(
+      'UPDATE twitter_user_tokens SET credentials = $2, updated_at = NOW() WHERE user_id = $1',
+      [userId, sealCredentials(fetched.credentials)]
+    );
+  }
+
+  let error = fetched.error;
+  if (!error && fetched.identity.twitter_id !== row.twitter_id) {
+    logger.error('Stored Twitter tokens belong to another account', { user_id: userId });
+    error = 'unauthorized';
+  }
+  if (error === 'unauthorized') {
+    await pool.query('DELETE FROM twitter_user_tokens WHERE user_id = $1', [userId]);
+  } else if (error) {
+    await recordRefreshFailure(userId, error);
+  }
+  if (error) {
+    return { status: error };
+  }
+
+  const result = await withLockedUser('id = $1', [userId], async (client, before) => {
+    const user = await applyTwitterIdentity(client, before, fetched.identity, 'refresh');
+    await client.query(
+      'UPDATE twitter_user_tokens SET last_attempt_at = NOW(), last_error = NULL WHERE user_id = $1',
+      [userId]
+    );
+    return { status: 'refreshed', user, before };
+  });
+  return result || { status: 'not_found' };
+};
+
+// One pass of the scheduled refresh: the PROFILE_REFRESH_BATCH_SIZE least recently tried
+// users (except banned ones) whose tokens were last used more than PROFILE_REFRESH_STALE_HOURS
+// ago. An advisory lock keeps instances from refreshing at the same time. A user whose refresh
+// throws counts as failed and the pass moves on to the next one.
+// Resolves to the number of users per outcome, or null when another instance holds the lock.
+const runProfileRefresh = async () => {
+  const client = await pool.connect();
+  try {
+    const lock = await client.query(REFRESH_LOCK_SQL);
+    if (!lock.rows[0].locked) {
+      return null;
+    }
+
+    try {
+      const due = await client.query(
+        `SELECT t.user_id
+         FROM twitter_user_tokens t
+         JOIN user_profiles u ON u.id = t.user_id
+         WHERE u.status <> 'banned'
+           AND (t.last_attempt_at IS NULL OR t.last_attempt_at < NOW() - make_interval(hours => $1))
+         ORDER BY t.last_attempt_at NULLS FIRST, t.user_id
+         LIMIT $2`,
+        [env.PROFILE_REFRESH_STALE_HOURS, env.PROFILE_REFRESH_BATCH_SIZE]
+      );
+
+      const outcomes = {};
+      for (const { user_id } of due.rows) {
+        let status;
+        try {
+          ({ status } = await refreshTwitterProfile(user_id));
+        } catch (error) {
+          // Recorded as an attempt, so a user that keeps failing moves behind the others
+          logger.error('Twitter profile refresh failed for user', { user_id, error });
+          status = 'failed';
+          await recordRefreshFailure(user_id, status);
+        }
+        outcomes[status] = (outcomes[status] || 0) + 1;
+        recordProfileRefresh(status);
+        // Twitter's limits reset per 15-minute window; the rest wait for the next run
+        if (status === 'rate_limited') break;
+      }
+      return outcomes;
+    } finally {
+      await client.query(REFRESH_UNLOCK_SQL);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+const startProfileRefresh = (intervalMinutes = env.PROFILE_REFRESH_INTERVAL_MINUTES) => {
+  if (refreshTimer || intervalMinutes === 0) {
+    return;
+  }
+  if (!env.TWITTER_TOKEN_ENCRYPTION_KEY) {
+    logger.warn('⚠️ TWITTER_TOKEN_ENCRYPTION_KEY not set - Twitter profiles only refresh when users log in');
+    return;
+  }
+
+  refreshTimer = setInterval(async () => {
+    try {
+      const outcomes = await runProfileRefresh();
+      if (outcomes && Object.keys(outcomes).length > 0) {
+        logger.info('🔄 Refreshed Twitter profiles', { outcomes });
+      }
+    } catch (error) {
+      logger.error('Twitter profile refresh failed', { error });
+    }
+  }, intervalMinutes * 60 * 1000);
+  // Never keep the process alive just for refreshes
+  refreshTimer.unref();
+};
+
+const stopProfileRefresh = () => {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+};
+
+export {
+  getProfileSnapshot,
+  recordTwitterLogin,
+  claimTwitterLogin,
+  refreshTwitterProfile,
+  runProfileRefresh,
+  startProfileRefresh,
+  stopProfileRefresh
+};
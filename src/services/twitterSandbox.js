@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import { getTokenStore } from './tokenStore.js';
+import { env } from '../config/env.js';
+import { getBackendBaseUrl } from '../config/twitter.js';
+import { signTelegramData } from './telegramAuth.js';
+import { buildTwitterAccount } from './twitterAccount.js';
+
+// Offline stand-in for Twitter login (TWITTER_AUTH_FLOW=sandbox). /auth/twitter sends the user to
+// a local page that lists fake identities; picking one returns to the normal callback, which
+// issues a real session, so the frontend and integration tests run the full registration flow.
+//
+// A handle always maps to the same twitter_id, so logging in twice as `sandbox_alice` finds
+// the same registration. Sandbox accounts look established to the registration risk rules
+// unless the callback is given other account signals (see SANDBOX_ACCOUNT_PARAMS).
+
+const SANDBOX_STATE_TTL_MS = env.OAUTH_REQUEST_TOKEN_TTL_MINUTES * 60 * 1000;
+const sandboxStates = getTokenStore('sandbox_auth');
+
+const TWITTER_HANDLE_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+const DEFAULT_SANDBOX_HANDLES = ['sandbox_alice', 'sandbox_bob', 'sandbox_carol'];
+
+// 19-digit id in the range real Twitter ids use, derived from the handle
+const sandboxTwitterId = (handle) => {
+  const digest = crypto.createHash('sha256').update(handle.toLowerCase()).digest();
+  return String(1000000000000000000n + (digest.readBigUInt64BE(0) % 8000000000000000000n));
+};
+
+const DEFAULT_SANDBOX_ACCOUNT = {
+  created_at: '2015-01-01T00:00:00.000Z',
+  followers_count: 500,
+  following_count: 300,
+  tweet_count: 1000,
+  default_profile_image: false,
+  verified: false
+};
+
+// Callback query parameters that override the default account signals, for testing the
+// risk rules: account_created_at, followers_count, following_count, tweet_count,
+// default_profile_image and verified
+const sandboxAccount = (query = {}) => {
+  const count = (value, fallback) => (/^\d+$/.test(value ?? '') ? Number(value) : fallback);
+  const flag = (value, fallback) => (value === 'true' || value === 'false' ? value === 'true' : fallback);
+  return buildTwitterAccount({
+    created_at: query.account_created_at || DEFAULT_SANDBOX_ACCOUNT.created_at,
+    followers_count: count(query.followers_count, DEFAULT_SANDBOX_ACCOUNT.followers_count),
+    following_count: count(query.following_count, DEFAULT_SANDBOX_ACCOUNT.following_count),
+    tweet_count: count(query.tweet_count, DEFAULT_SANDBOX_ACCOUNT.tweet_count),
+    default_profile_image: flag(query.default_profile_image, DEFAULT_SANDBOX_ACCOUNT.default_profile_image),
+    verified: flag(query.verified, DEFAULT_SANDBOX_ACCOUNT.verified)
+  });
+};
+
+const sandboxIdentity = (handle, name, account = sandboxAccount()) => ({
+  twitter_id: sandboxTwitterId(handle),
+  twitter_username: handle,
+  twitter_name: name || `${handle} (sandbox)`,
+  profile_image: '',
+  description: null,
+  account
+});
+
+// Identities offered on the sandbox login page, from TWITTER_SANDBOX_USERS (comma-separated handles)
+const getSandboxIdentities = () => {
+  const handles = env.TWITTER_SANDBOX_USERS.filter((handle) => TWITTER_HANDLE_PATTERN.test(handle));
+  return (handles.length > 0 ? handles : DEFAULT_SANDBOX_HANDLES).map((handle) => sandboxIdentity(handle));
+};
+
+const isConfigured = () => true;
+
+const configurationError = 'Twitter sandbox login is not available';
+
+const startAuthorization = async () => {
+  const state = crypto.randomBytes(24).toString('base64url');
+  await sandboxStates.set(state, { created_at: Date.now() }, SANDBOX_STATE_TTL_MS);
+  return `${getBackendBaseUrl()}/api/sandbox/twitter/authorize?state=${state}`;
+};
+
+// Resolves to { identity, credentials } or { error }, with the same error codes as the real flows
+const completeAuthorization = async (query) => {
+  const { state, twitter_username, twitter_name } = query;
+  if (!state) {
+    return { error: 'missing_oauth_params' };
+  }
+
+  const stored = await sandboxStates.take(state);
+  if (!twitter_username) {
+    return { error: 'missing_oauth_params' };
+  }
+  if (!stored) {
+    return { error: 'invalid_token' };
+  }
+  if (!TWITTER_HANDLE_PATTERN.test(twitter_username)) {
+    return { error: 'user_info_failed' };
+  }
+
+  return {
+    identity: sandboxIdentity(twitter_username, twitter_name, sandboxAccount(query)),
+    credentials: { twitter_username, twitter_name: twitter_name || null }
+  };
+};
+
+// Profile refreshes return the identity the user logged in as, with the default account
+const fetchProfile = async (credentials) => ({
+  identity: sandboxIdentity(credentials.twitter_username, credentials.twitter_name)
+});
+
+// Telegram Login Widget data signed with TELEGRAM_BOT_TOKEN, as the widget would return it
+const createSandboxTelegramLogin = ({ id, username }) => {
+  const botToken = env.TELEGRAM_BOT_TOKEN;
+  if (!botToken) {
+    throw new Error('TELEGRAM_BOT_TOKEN is not configured; any value works in sandbox mode');
+  }
+
+  const data = {
+    id,
+    first_name: username,
+    username,
+    auth_date: Math.floor(Date.now() / 1000)
+  };
+  return { ...data, hash: signTelegramData(data, botToken) };
+};
+
+export {
+  TWITTER_HANDLE_PATTERN,
+  sandboxTwitterId,
+  getSandboxIdentities,
+  isConfigured,
+  configurationError,
+  startAuthorization,
+  completeAuthorization,
+  fetchProfile,
+  createSandboxTelegramLogin
+};
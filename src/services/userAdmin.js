@@ -0,0 +1,232 @@
+import { pool } from '../config/database.js';
+import { recordProfileChange, recordProfileChanges } from './profile.js';
+import { listUserWallets, replacePrimaryEvmWallet } from './wallets.js';
+import { normalizeWalletAddress } from '../utils/walletAddress.js';
+
+// Admin-side queries and changes on user_profiles.
+//
+// Listing uses keyset pagination: the cursor encodes the sort value and id of the last row
+// returned, so pages stay consistent while new users register.
+
+const USER_STATUSES = ['active', 'banned', 'pending_review'];
+
+// Sort keys exposed to the API. `cast` is used to turn the cursor value back into the column type.
+const USER_SORTS = {
+  created_at: { expression: 'created_at', cast: 'timestamp' },
+  updated_at: { expression: 'updated_at', cast: 'timestamp' },
+  id: { expression: 'id', cast: 'integer' },
+  twitter_username: { expression: "LOWER(COALESCE(twitter_username, ''))", cast: 'text' }
+};
+
+const EDITABLE_USER_FIELDS = ['twitter_username', 'twitter_name', 'telegram_username', 'wallet_address'];
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Resolves a cursor from a previous page, or null if it is malformed or from another sort order
+const decodeUserCursor = (cursor, sort, order) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!position || position.sort !== sort || position.order !== order || position.id === undefined) {
+      return null;
+    }
+    return position;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Builds the WHERE clause shared by search and export. `params` is appended to in place.
+const buildUserFilters = ({ q, status, created_from, created_to }, params) => {
+  const conditions = [];
+
+  if (q) {
+    params.push(`%${q.replace(/^@/, '').replace(/[\\%_]/g, '\\$&')}%`);
+    const placeholder = `$${params.length}`;
+    conditions.push(`(EXISTS (
+        SELECT 1 FROM user_wallets w WHERE w.user_id = user_profiles.id AND w.address ILIKE ${placeholder}
+      )
+      OR twitter_username ILIKE ${placeholder}
+      OR telegram_username ILIKE ${placeholder})`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (created_from) {
+    params.push(created_from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (created_to) {
+    params.push(created_to);
+    conditions.push(`created_at < $${params.length}`);
+  }
+
+  return conditions;
+};
+
+// `position` is a decoded cursor (see decodeUserCursor). Resolves to { users, next_cursor }.
+const searchUsers = async ({ sort = 'created_at', order = 'desc', limit = 50, position, ...filters }) => {
+  const { expression, cast } = USER_SORTS[sort];
+  const params = [];
+  const conditions = buildUserFilters(filters, params);
+
+  if (position) {
+    params.push(position.value, position.id);
+    const comparison = order === 'asc' ? '>' : '<';
+    conditions.push(`(${expression}, id) ${comparison} ($${params.length - 1}::${cast}, $${params.length}::integer)`);
+  }
+
+  params.push(limit + 1);
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const result = await pool.query(
+    `SELECT *, (${expression})::text AS sort_value
+     FROM user_profiles
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY ${expression} ${direction}, id ${direction}
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    users: rows.map(({ sort_value, ...user }) => user),
+    next_cursor: hasMore
+      ? encodeCursor({ sort, order, value: last.sort_value, id: last.id })
+      : null
+  };
+};
+
+const getUserById = async (id, client = pool) => {
+  const result = await client.query('SELECT * FROM user_profiles WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+// Applies the editable fields present in `changes` and records them in the profile history.
+// A new wallet_address replaces the user's primary EVM wallet in user_wallets as well. A new
+// telegram_username clears telegram_user_id, which was verified for the old account.
+// Resolves to { before, after } or null when the user does not exist.
+const updateUser = async (id, changes, { adminId }) => {
+  const fields = EDITABLE_USER_FIELDS.filter((field) => changes[field] !== undefined);
+  const values = fields.map((field) => field === 'wallet_address'
+    ? normalizeWalletAddress('evm', changes[field])
+    : changes[field]);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await client.query('SELECT * FROM user_profiles WHERE id = $1 FOR UPDATE', [id]);
+    if (before.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+    if (fields.includes('telegram_username') && changes.telegram_username !== before.rows[0].telegram_username) {
+      assignments.push('telegram_user_id = NULL');
+    }
+    const after = fields.length > 0
+      ? await client.query(
+        `UPDATE user_profiles SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+        [id, ...values]
+      )
+      : before;
+
+    if (fields.includes('wallet_address') && after.rows[0].wallet_address !== before.rows[0].wallet_address) {
+      await replacePrimaryEvmWallet(client, id, after.rows[0].wallet_address);
+    }
+
+    await recordProfileChanges(client, before.rows[0], after.rows[0], { actorType: 'admin', actorId: adminId });
+    await client.query('COMMIT');
+    return { before: before.rows[0], after: after.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Sets the moderation columns and returns { before, after }, where `before` holds the
+// moderation columns as they were prior to the update
+const setModeration = async (id, assignments, params) => {
+  const result = await pool.query(
+    `UPDATE user_profiles u
+     SET ${assignments}
+     FROM (
+       SELECT id, status, ban_reason, banned_at, banned_by
+       FROM user_profiles WHERE id = $1 FOR UPDATE
+     ) previous
+     WHERE u.id = previous.id
+     RETURNING u.*, row_to_json(previous) AS previous`,
+    [id, ...params]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const { previous, ...after } = result.rows[0];
+  return { before: previous, after };
+};
+
+const banUser = (id, { reason, adminId }) => setModeration(
+  id,
+  "status = 'banned', ban_reason = $2, banned_at = NOW(), banned_by = $3",
+  [reason, adminId]
+);
+
+// A registration still waiting in the review queue goes back to pending_review rather than
+// skipping the review
+const unbanUser = (id) => setModeration(
+  id,
+  `status = CASE WHEN u.risk_decision = 'review' AND u.reviewed_at IS NULL THEN 'pending_review' ELSE 'active' END,
+   ban_reason = NULL, banned_at = NULL, banned_by = NULL`,
+  []
+);
+
+// Permanently removes the user. The unlinking of each wallet and the deletion itself (a
+// `user_id` row) are written to user_profile_history, which outlives the profile, in the same
+// transaction; XP events stay in the ledger under the old user id. Resolves to the deleted
+// user with their wallets, or null when the user does not exist.
+const deleteUser = async (id, { adminId }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM user_profiles WHERE id = $1 FOR UPDATE', [id]);
+    const user = current.rows[0];
+    if (!user) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const actor = { actorType: 'admin', actorId: adminId };
+    const wallets = await listUserWallets(user.id, client);
+    for (const wallet of wallets) {
+      await recordProfileChange(client, user, 'linked_wallet', wallet.address, null, actor);
+    }
+    await recordProfileChange(client, user, 'user_id', user.id, null, actor);
+
+    await client.query('DELETE FROM user_profiles WHERE id = $1', [user.id]);
+    await client.query('COMMIT');
+    return { ...user, wallets };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export {
+  USER_STATUSES,
+  USER_SORTS,
+  EDITABLE_USER_FIELDS,
+  buildUserFilters,
+  decodeUserCursor,
+  searchUsers,
+  getUserById,
+  updateUser,
+  banUser,
+  unbanUser,
+  deleteUser
+};
@@ -0,0 +1,160 @@
+import { Transform } from 'stream';
+import QueryStream from 'pg-query-stream';
+import { getAddress } from 'ethers';
+import { pool } from '../config/database.js';
+import { totalScoreSql } from '../config/scoring.js';
+import { logger } from '../utils/logger.js';
+
+// Streams user_profiles out of a Postgres cursor so exports of any size use flat memory.
+// The wallets format lists each user's primary wallet on one chain, from user_wallets.
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'wallets'];
+
+const EXPORT_COLUMNS = [
+  'id',
+  'wallet_address',
+  'twitter_id',
+  'twitter_username',
+  'twitter_name',
+  'telegram_user_id',
+  'telegram_username',
+  'status',
+  'referral_code',
+  'referred_by',
+  'total_score',
+  'created_at'
+];
+
+const DEFAULT_EXPORT_COLUMNS = ['wallet_address', 'twitter_username', 'telegram_username', 'total_score', 'created_at'];
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Quote values that need it, and neutralise leading formula characters so
+// user-controlled names can't run as formulas when the file is opened in a spreadsheet
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `walletChain` swaps user_profiles.wallet_address for the primary wallet on that chain and
+// leaves out users without one
+const buildExportQuery = ({ columns, walletChain, registered_before, exclude_banned, min_score }) => {
+  const params = [];
+  const conditions = [];
+  let walletJoin = '';
+
+  if (walletChain) {
+    params.push(walletChain);
+    walletJoin = `JOIN user_wallets w ON w.user_id = u.id AND w.chain = $${params.length} AND w.is_primary`;
+  }
+
+  if (registered_before) {
+    params.push(registered_before);
+    conditions.push(`u.created_at < $${params.length}`);
+  }
+  // Registrations held for review are not eligible yet either
+  if (exclude_banned) {
+    conditions.push("u.status = 'active'");
+  }
+  if (min_score !== undefined) {
+    params.push(min_score);
+    conditions.push(`COALESCE(s.total_score, 0) >= $${params.length}`);
+  }
+
+  const selected = columns.map((column) => {
+    if (column === 'total_score') {
+      return 'COALESCE(s.total_score, 0)::float8 AS total_score';
+    }
+    if (column === 'wallet_address' && walletChain) {
+      return 'w.address AS wallet_address';
+    }
+    return `u.${column}`;
+  });
+
+  const sql = `
+    SELECT ${selected.join(', ')}
+    FROM user_profiles u
+    ${walletJoin}
+    LEFT JOIN (
+      SELECT user_id, ${totalScoreSql('e')} AS total_score
+      FROM xp_events e
+      GROUP BY user_id
+    ) s ON s.user_id = u.id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY u.id
+  `;
+
+  return { sql, params };
+};
+
+const createFormatter = (format, columns, chain) => {
+  let headerWritten = false;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      if (format === 'ndjson') {
+        return callback(null, `${JSON.stringify(row)}\n`);
+      }
+
+      if (format === 'wallets') {
+        // One address per line - the input most airdrop tools expect. Solana and Bitcoin
+        // addresses are stored in their canonical form already.
+        if (chain !== 'evm') {
+          return callback(null, `${row.wallet_address}\n`);
+        }
+        // EIP-55 checksummed
+        try {
+          return callback(null, `${getAddress(row.wallet_address.toLowerCase())}\n`);
+        } catch (error) {
+          logger.warn('Skipping invalid wallet address in export', { wallet_address: row.wallet_address });
+          return callback();
+        }
+      }
+
+      let chunk = '';
+      if (!headerWritten) {
+        chunk += `${columns.join(',')}\n`;
+        headerWritten = true;
+      }
+      chunk += `${columns.map((column) => csvValue(row[column])).join(',')}\n`;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      // An empty CSV export still gets its header row
+      if (format === 'csv' && !headerWritten) {
+        this.push(`${columns.join(',')}\n`);
+      }
+      callback();
+    }
+  });
+};
+
+// Resolves to { rows, formatter, release }. `rows` is the cursor-backed object stream
+// and must be piped through `formatter`; call `release` once the pipeline finishes.
+const openUserExport = async ({ format, columns, chain = 'evm', ...filters }) => {
+  const isWalletList = format === 'wallets';
+  const exportColumns = isWalletList ? ['wallet_address'] : columns;
+  const { sql, params } = buildExportQuery({
+    columns: exportColumns,
+    walletChain: isWalletList ? chain : undefined,
+    ...filters
+  });
+
+  const client = await pool.connect();
+  const rows = client.query(new QueryStream(sql, params, { batchSize: EXPORT_BATCH_SIZE }));
+
+  return {
+    rows,
+    formatter: createFormatter(format, exportColumns, chain),
+    release: (error) => client.release(error)
+  };
+};
+
+export { EXPORT_FORMATS, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, openUserExport };
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import { verifyMessage, Signature, SigningKey } from 'ethers';
+import { getTokenStore } from './tokenStore.js';
+import { env } from '../config/env.js';
+import { decodeBase58, decodeSegwitAddress, normalizeWalletAddress } from '../utils/walletAddress.js';
+
+// Wallet ownership proof: the client asks for a one-time challenge message, signs it with the
+// wallet, and sends the nonce and signature back. The signature is checked locally against the
+// claimed address, the way each chain's wallets sign messages:
+//   evm     - EIP-191 personal_sign, 0x-prefixed hex; the recovered signer must match
+//   solana  - ed25519 signMessage over the UTF-8 message, base58-encoded
+//   bitcoin - BIP-137 "Bitcoin Signed Message", base64; the recovered key must hash to the
+//             address's witness program
+
+const WALLET_CHALLENGE_TTL_MS = env.WALLET_CHALLENGE_TTL_MINUTES * 60 * 1000;
+const walletNonces = getTokenStore('wallet_nonce');
+
+const buildChallengeMessage = (walletAddress, nonce, issuedAt, expiresAt) => [
+  'MADCAT Register wants you to prove ownership of this wallet:',
+  walletAddress,
+  '',
+  'Signing this message does not send a transaction or cost any fees.',
+  '',
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt.toISOString()}`,
+  `Expiration Time: ${expiresAt.toISOString()}`
+].join('\n');
+
+const verifyEvmSignature = (message, address, signature) =>
+  verifyMessage(message, signature).toLowerCase() === address.toLowerCase();
+
+const verifySolanaSignature = (message, address, signature) => {
+  const signatureBytes = decodeBase58(signature);
+  if (!signatureBytes || signatureBytes.length !== 64) {
+    throw new Error('Solana signatures are 64 bytes');
+  }
+  const publicKey = crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: decodeBase58(address).toString('base64url') },
+    format: 'jwk'
+  });
+  return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, signatureBytes);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// Length prefix used by Bitcoin serialization
+const compactSize = (length) => {
+  if (length < 0xfd) {
+    return Buffer.from([length]);
+  }
+  const prefixed = Buffer.alloc(3);
+  prefixed[0] = 0xfd;
+  prefixed.writeUInt16LE(length, 1);
+  return prefixed;
+};
+
+const bitcoinMessageHash = (message) => {
+  const magic = Buffer.from('Bitcoin Signed Message:\n', 'utf8');
+  const body = Buffer.from(message, 'utf8');
+  return sha256(sha256(Buffer.concat([compactSize(magic.length), magic, compactSize(body.length), body])));
+};
+
+const verifyBitcoinSignature = (message, address, signature) => {
+  const signatureBytes = Buffer.from(signature, 'base64');
+  const header = signatureBytes[0];
+  // Headers 27-42 encode the recovery id and address type; wallets differ in which type they
+  // declare for SegWit addresses, so only the recovery id is used
+  if (signatureBytes.length !== 65 || header < 27 || header > 42 || (header - 27) % 4 > 1) {
+    throw new Error('Bitcoin signatures are 65-byte BIP-137 signatures');
+  }
+
+  const publicKey = SigningKey.recoverPublicKey(bitcoinMessageHash(message), Signature.from({
+    r: `0x${signatureBytes.subarray(1, 33).toString('hex')}`,
+    s: `0x${signatureBytes.subarray(33, 65).toString('hex')}`,
+    v: 27 + ((header - 27) % 4)
+  }));
+  const compressed = Buffer.from(SigningKey.computePublicKey(publicKey, true).slice(2), 'hex');
+  const keyHash = crypto.createHash('ripemd160').update(sha256(compressed)).digest();
+  return keyHash.equals(decodeSegwitAddress(address).program);
+};
+
+const SIGNATURE_VERIFIERS = {
+  evm: verifyEvmSignature,
+  solana: verifySolanaSignature,
+  bitcoin: verifyBitcoinSignature
+};
+
+// walletAddress must be valid for the chain (see utils/walletAddress.js)
+const createWalletChallenge = async (chain, walletAddress) => {
+  const address = normalizeWalletAddress(chain, walletAddress);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + WALLET_CHALLENGE_TTL_MS);
+  const message = buildChallengeMessage(address, nonce, issuedAt, expiresAt);
+
+  await walletNonces.set(nonce, { chain, wallet_address: address, message }, WALLET_CHALLENGE_TTL_MS);
+
+  return { nonce, message, chain, wallet_address: address, expires_at: expiresAt.toISOString() };
+};
+
+// Consumes the nonce whether or not the signature is valid, so every challenge is single use.
+// Resolves to { valid: true, chain, address } with the normalized address, or { valid: false, error }.
+const verifyWalletChallenge = async ({ chain, walletAddress, nonce, signature }) => {
+  const challenge = await walletNonces.take(nonce);
+  if (!challenge) {
+    return { valid: false, error: 'Wallet challenge is invalid, expired or already used' };
+  }
+
+  // Challenges issued before multi-chain support carry no chain and a lowercased EVM address
+  const challengeChain = challenge.chain || 'evm';
+  const address = normalizeWalletAddress(chain, walletAddress);
+  if (challengeChain !== chain || !address
+    || normalizeWalletAddress(challengeChain, challenge.wallet_address) !== address) {
+    return { valid: false, error: 'Wallet challenge was issued for a different wallet' };
+  }
+
+  let signatureMatches;
+  try {
+    signatureMatches = SIGNATURE_VERIFIERS[chain](challenge.message, address, signature);
+  } catch (error) {
+    return { valid: false, error: 'Wallet signature is malformed' };
+  }
+
+  if (!signatureMatches) {
+    return { valid: false, error: 'Wallet signature does not match wallet address' };
+  }
+
+  return { valid: true, chain, address };
+};
+
+export { createWalletChallenge, verifyWalletChallenge };
@@ -0,0 +1,244 @@
+import { pool } from '../config/database.js';
+import { env } from '../config/env.js';
+import {
+  WALLET_HISTORY_FIELDS,
+  primaryWalletField,
+  recordProfileChange,
+  getCooldownEnd
+} from './profile.js';
+import { normalizeWalletAddress } from '../utils/walletAddress.js';
+
+// Wallets linked to a user (user_wallets), on any supported chain.
+//
+// Users link wallets by proving ownership (services/walletAuth.js). The first wallet linked on
+// a chain becomes that chain's primary wallet, the one rewards on that chain go to. The primary
+// EVM wallet is mirrored into user_profiles.wallet_address, which scores, exports and
+// leaderboards read. Primary wallets can't be unlinked; another wallet on the chain has to be
+// made primary first.
+//
+// Every change is written to user_profile_history (see WALLET_HISTORY_FIELDS). Replacing a
+// primary wallet or unlinking a wallet counts as a wallet change for the
+// PROFILE_CHANGE_COOLDOWN_HOURS cooldown; linking an additional wallet does not.
+
+const WALLET_COLUMNS = 'id, chain, address, is_primary, verified_at, created_at';
+
+const WALLET_ORDER = 'chain, is_primary DESC, created_at, id';
+
+const listUserWallets = async (userId, client = pool) => {
+  const result = await client.query(
+    `SELECT ${WALLET_COLUMNS} FROM user_wallets WHERE user_id = $1 ORDER BY ${WALLET_ORDER}`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Returns copies of the users with their linked wallets as `wallets`
+const attachWallets = async (users, client = pool) => {
+  if (users.length === 0) {
+    return users;
+  }
+
+  const result = await client.query(
+    `SELECT user_id, ${WALLET_COLUMNS} FROM user_wallets WHERE user_id = ANY($1) ORDER BY ${WALLET_ORDER}`,
+    [users.map((user) => user.id)]
+  );
+  const walletsByUser = new Map(users.map((user) => [user.id, []]));
+  for (const { user_id, ...wallet } of result.rows) {
+    walletsByUser.get(user_id).push(wallet);
+  }
+  return users.map((user) => ({ ...user, wallets: walletsByUser.get(user.id) }));
+};
+
+// Inserts a wallet for a user inside the caller's transaction
+const insertWallet = async (client, userId, { chain, address, isPrimary, verified }) => {
+  const result = await client.query(
+    `INSERT INTO user_wallets (user_id, chain, address, is_primary, verified_at)
+     VALUES ($1, $2, $3, $4, ${verified ? 'NOW()' : 'NULL'})
+     RETURNING ${WALLET_COLUMNS}`,
+    [userId, chain, address, isPrimary]
+  );
+  return result.rows[0];
+};
+
+// Makes `wallet` the primary wallet of its chain and records the change. Resolves to the
+// user row, updated when the EVM mirror column changed.
+const promoteWallet = async (client, user, wallet, actor) => {
+  const demoted = await client.query(
+    `UPDATE user_wallets SET is_primary = false
+     WHERE user_id = $1 AND chain = $2 AND is_primary
+     RETURNING address`,
+    [user.id, wallet.chain]
+  );
+  await client.query('UPDATE user_wallets SET is_primary = true WHERE id = $1', [wallet.id]);
+  await recordProfileChange(client, user, primaryWalletField(wallet.chain), demoted.rows[0]?.address ?? null, wallet.address, actor);
+
+  if (wallet.chain !== 'evm') {
+    return user;
+  }
+  const updated = await client.query(
+    'UPDATE user_profiles SET wallet_address = $2 WHERE id = $1 RETURNING *',
+    [user.id, wallet.address]
+  );
+  return updated.rows[0];
+};
+
+// Runs `change(client, user)` in a transaction holding the lock on the profile of the user in
+// the Twitter session. `change` resolves to a result object; anything but an `updated`,
+// `linked` or `removed` status rolls the transaction back.
+const withLockedProfile = async (twitterId, change) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM user_profiles WHERE twitter_id = $1 FOR UPDATE', [twitterId]);
+    const user = current.rows[0];
+
+    let result;
+    if (!user) {
+      result = { status: 'not_found' };
+    } else if (user.status === 'banned') {
+      result = { status: 'banned' };
+    } else {
+      result = await change(client, user);
+    }
+
+    await client.query(['updated', 'linked', 'removed'].includes(result.status) ? 'COMMIT' : 'ROLLBACK');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const cooldownResult = async (client, user) => {
+  const retryAt = await getCooldownEnd(client, user.id, WALLET_HISTORY_FIELDS);
+  return retryAt ? { status: 'cooldown', retry_at: retryAt } : null;
+};
+
+// Links a wallet whose ownership was just proven. It becomes its chain's primary wallet when
+// the user has none there yet, or when makePrimary is set. Linking a wallet the user already
+// has refreshes its verification and, with makePrimary, promotes it.
+// Resolves to { status: 'linked' | 'updated', user, wallet, before } or
+// { status: 'not_found' | 'banned' | 'taken' | 'limit' | 'cooldown', retry_at? }.
+const linkWallet = (twitterId, { chain, address, makePrimary = false }) => withLockedProfile(twitterId, async (client, before) => {
+  const actor = { actorType: 'user', actorId: before.id };
+
+  const owner = await client.query('SELECT user_id FROM user_wallets WHERE chain = $1 AND address = $2', [chain, address]);
+  if (owner.rows.length > 0 && owner.rows[0].user_id !== before.id) {
+    return { status: 'taken' };
+  }
+
+  let wallet = null;
+  if (owner.rows.length > 0) {
+    const refreshed = await client.query(
+      `UPDATE user_wallets SET verified_at = NOW() WHERE chain = $1 AND address = $2 RETURNING ${WALLET_COLUMNS}`,
+      [chain, address]
+    );
+    wallet = refreshed.rows[0];
+  }
+
+  const primary = await client.query(
+    'SELECT id FROM user_wallets WHERE user_id = $1 AND chain = $2 AND is_primary',
+    [before.id, chain]
+  );
+  const currentPrimaryId = primary.rows[0]?.id ?? null;
+  const promote = currentPrimaryId === null || (makePrimary && currentPrimaryId !== wallet?.id);
+
+  if (promote && currentPrimaryId !== null) {
+    const cooldown = await cooldownResult(client, before);
+    if (cooldown) {
+      return cooldown;
+    }
+  }
+
+  const status = wallet ? 'updated' : 'linked';
+  if (!wallet) {
+    const count = await client.query('SELECT COUNT(*)::int AS count FROM user_wallets WHERE user_id = $1', [before.id]);
+    if (count.rows[0].count >= env.MAX_WALLETS_PER_USER) {
+      return { status: 'limit' };
+    }
+    wallet = await insertWallet(client, before.id, { chain, address, isPrimary: false, verified: true });
+    await recordProfileChange(client, before, 'linked_wallet', null, address, actor);
+  }
+
+  const user = promote ? await promoteWallet(client, before, wallet, actor) : before;
+  return { status, user, wallet: { ...wallet, is_primary: promote || wallet.is_primary }, before };
+});
+
+// Resolves to { status: 'updated' | 'unchanged', user, wallet, before } or
+// { status: 'not_found' | 'banned' | 'wallet_not_found' | 'cooldown', retry_at? }
+const setPrimaryWallet = (twitterId, walletId) => withLockedProfile(twitterId, async (client, before) => {
+  const found = await client.query(
+    `SELECT ${WALLET_COLUMNS} FROM user_wallets WHERE id = $1 AND user_id = $2`,
+    [walletId, before.id]
+  );
+  const wallet = found.rows[0];
+  if (!wallet) {
+    return { status: 'wallet_not_found' };
+  }
+  if (wallet.is_primary) {
+    return { status: 'unchanged', user: before, wallet, before };
+  }
+
+  const cooldown = await cooldownResult(client, before);
+  if (cooldown) {
+    return cooldown;
+  }
+
+  const user = await promoteWallet(client, before, wallet, { actorType: 'user', actorId: before.id });
+  return { status: 'updated', user, wallet: { ...wallet, is_primary: true }, before };
+});
+
+// Resolves to { status: 'removed', user, wallet } or
+// { status: 'not_found' | 'banned' | 'wallet_not_found' | 'primary' | 'cooldown', retry_at? }
+const unlinkWallet = (twitterId, walletId) => withLockedProfile(twitterId, async (client, user) => {
+  const found = await client.query(
+    `SELECT ${WALLET_COLUMNS} FROM user_wallets WHERE id = $1 AND user_id = $2`,
+    [walletId, user.id]
+  );
+  const wallet = found.rows[0];
+  if (!wallet) {
+    return { status: 'wallet_not_found' };
+  }
+  if (wallet.is_primary) {
+    return { status: 'primary' };
+  }
+
+  const cooldown = await cooldownResult(client, user);
+  if (cooldown) {
+    return cooldown;
+  }
+
+  await client.query('DELETE FROM user_wallets WHERE id = $1', [wallet.id]);
+  await recordProfileChange(client, user, 'linked_wallet', wallet.address, null, { actorType: 'user', actorId: user.id });
+  return { status: 'removed', user, wallet };
+});
+
+// Keeps user_wallets in step when an admin edits user_profiles.wallet_address, inside the
+// caller's transaction: the address replaces the user's primary EVM wallet, unverified. An
+// address linked to another user fails with the unique violation (23505) of the insert.
+const replacePrimaryEvmWallet = async (client, userId, walletAddress) => {
+  const address = normalizeWalletAddress('evm', walletAddress);
+  await client.query(
+    "DELETE FROM user_wallets WHERE user_id = $1 AND chain = 'evm' AND is_primary AND address <> $2",
+    [userId, address]
+  );
+  const promoted = await client.query(
+    "UPDATE user_wallets SET is_primary = true WHERE user_id = $1 AND chain = 'evm' AND address = $2",
+    [userId, address]
+  );
+  if (promoted.rowCount === 0) {
+    await insertWallet(client, userId, { chain: 'evm', address, isPrimary: true, verified: false });
+  }
+};
+
+export {
+  listUserWallets,
+  attachWallets,
+  insertWallet,
+  linkWallet,
+  setPrimaryWallet,
+  unlinkWallet,
+  replacePrimaryEvmWallet
+};
@@ -0,0 +1,116 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured JSON logger. One line per entry: { time, level, msg, request_id?, ...fields }.
+//
+// Entries below LOG_LEVEL (error, warn, info, debug; default info) are dropped. Fields are
+// sanitized before they are written: secrets and tokens are replaced by [REDACTED], wallet
+// addresses and Telegram identifiers are masked, and Error objects become { name, message, code, stack }.
+
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const requestContext = new AsyncLocalStorage();
+
+// Set from LOG_LEVEL by config/env.js once the configuration is loaded
+let currentLevel = LOG_LEVELS.info;
+
+const setLogLevel = (level) => {
+  currentLevel = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+};
+
+const REDACTED = '[REDACTED]';
+
+const SECRET_KEY_PATTERN = /authorization|cookie|password|secret|token|signature|api[_-]?key|nonce|hash|verifier|^code$/i;
+const WALLET_KEY_PATTERN = /wallet/i;
+const TELEGRAM_KEY_PATTERN = /telegram/i;
+
+const WALLET_PATTERN = /\b(?:0x[a-fA-F0-9]{40}|bc1[a-z0-9]{39,59})\b/gi;
+// Solana addresses can't be told apart from other base58 text, so they are only masked
+// under wallet keys
+const WALLET_VALUE_PATTERN = /^[A-Za-z0-9]{26,}$/;
+
+const shortenWallet = (wallet) => `${wallet.slice(0, 6)}…${wallet.slice(-4)}`;
+const maskWallet = (value) => String(value).replace(WALLET_PATTERN, shortenWallet);
+
+const maskIdentifier = (value) => {
+  const text = String(value);
+  return text.length <= 2 ? '**' : `${text.slice(0, 2)}${'*'.repeat(Math.min(text.length - 2, 6))}`;
+};
+
+// `inherited` carries a telegram/wallet match down into nested values, e.g. telegram_auth.id
+const sanitize = (value, key = '', depth = 0, inherited = null) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (SECRET_KEY_PATTERN.test(key)) {
+    return REDACTED;
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: maskWallet(value.message),
+      ...(value.code ? { code: value.code } : {}),
+      stack: value.stack
+    };
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  const masking = TELEGRAM_KEY_PATTERN.test(key) ? 'telegram' : WALLET_KEY_PATTERN.test(key) ? 'wallet' : inherited;
+  if (typeof value === 'object') {
+    if (depth >= 5) {
+      return '[Object]';
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => sanitize(item, key, depth + 1, masking));
+    }
+    return Object.fromEntries(Object.entries(value)
+      .map(([field, item]) => [field, sanitize(item, field, depth + 1, masking)]));
+  }
+  if (masking === 'telegram') {
+    return maskIdentifier(value);
+  }
+  if (masking === 'wallet' && typeof value === 'string' && WALLET_VALUE_PATTERN.test(value)) {
+    return shortenWallet(value);
+  }
+  return typeof value === 'string' ? maskWallet(value) : value;
+};
+
+const write = (level, msg, fields, bindings) => {
+  if (LOG_LEVELS[level] > currentLevel) {
+    return;
+  }
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context ? { request_id: context.requestId } : {}),
+    ...sanitize({ ...bindings, ...fields })
+  };
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LOG_LEVELS[level] <= LOG_LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+const createLogger = (bindings = {}) => ({
+  error: (msg, fields) => write('error', msg, fields, bindings),
+  warn: (msg, fields) => write('warn', msg, fields, bindings),
+  info: (msg, fields) => write('info', msg, fields, bindings),
+  debug: (msg, fields) => write('debug', msg, fields, bindings),
+  child: (extra) => createLogger({ ...bindings, ...extra })
+});
+
+const logger = createLogger();
+
+// Runs fn with a request ID that every log entry written during it picks up
+const runWithRequestContext = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+export { LOG_LEVELS, logger, setLogLevel, sanitize, runWithRequestContext, getRequestId };
@@ -0,0 +1,41 @@
+import crypto from 'crypto';
+
+// Authenticated encryption (AES-256-GCM) of JSON values stored at rest, such as Twitter user
+// tokens. Sealed values are "v1.<iv>.<auth tag>.<ciphertext>", each part base64url.
+
+const VERSION = 'v1';
+const IV_BYTES = 12;
+
+// key is a 32-byte Buffer
+const sealJson = (value, key) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join('.');
+};
+
+// Returns the value, or null when the sealed value is malformed, tampered with or was sealed
+// with another key
+const openJson = (sealed, key) => {
+  if (typeof sealed !== 'string') {
+    return null;
+  }
+
+  const [version, iv, tag, ciphertext, ...rest] = sealed.split('.');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined || rest.length > 0) {
+    return null;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+export { sealJson, openJson };
@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+
+// Compact HMAC-SHA256 signed tokens: base64url(JSON payload) + "." + base64url(signature).
+// Payloads carry their own `exp` (seconds since epoch) so tokens are stateless and
+// can be verified by any instance that shares the secret.
+
+const encode = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data, secret) =>
+  crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const signToken = (payload, secret, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const body = encode(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+  return `${body}.${sign(body, secret)}`;
+};
+
+// Returns the decoded payload, or null when the token is malformed, tampered with or expired
+const verifyToken = (token, secret) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [body, signature, ...rest] = token.split('.');
+  if (!body || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(body, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return payload;
+};
+
+export { signToken, verifyToken };
@@ -0,0 +1,155 @@
+import { getAddress } from 'ethers';
+
+// Address formats accepted for linked wallets, and their canonical form:
+//   evm     - 0x + 40 hex digits, stored EIP-55 checksummed. Mixed-case input must carry a
+//             valid checksum; all-lowercase or all-uppercase input is checksummed for it.
+//   solana  - base58 encoding of a 32-byte ed25519 public key, stored as given.
+//   bitcoin - native SegWit P2WPKH (bech32 bc1q…, 20-byte witness program), stored lowercase.
+//             Other Bitcoin address types can't sign the messages used to prove ownership.
+// Every format is distinct, so the chain of an address can be told from the address alone.
+
+const WALLET_CHAINS = ['evm', 'solana', 'bitcoin'];
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Bytes encoded by a base58 string (Bitcoin alphabet), or null when it is not base58
+const decodeBase58 = (text) => {
+  if (typeof text !== 'string' || text.length === 0) {
+    return null;
+  }
+
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    value = value * 58n + BigInt(digit);
+  }
+
+  const hex = value === 0n ? '' : value.toString(16);
+  const leadingZeros = text.length - text.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex')]);
+};
+
+// --- bech32 (BIP-173) ---
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BITCOIN_HRP = 'bc';
+
+const bech32Polymod = (values) => {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    BECH32_GENERATORS.forEach((generator, bit) => {
+      if ((top >>> bit) & 1) {
+        checksum ^= generator;
+      }
+    });
+  }
+  return checksum;
+};
+
+const hrpExpand = (hrp) => [
+  ...[...hrp].map((char) => char.charCodeAt(0) >> 5),
+  0,
+  ...[...hrp].map((char) => char.charCodeAt(0) & 31)
+];
+
+// Regroups 5-bit words into bytes; null when the padding is not zero
+const fromWords = (words) => {
+  let accumulator = 0;
+  let bits = 0;
+  const bytes = [];
+  for (const word of words) {
+    accumulator = ((accumulator << 5) | word) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((accumulator >> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || ((accumulator << (8 - bits)) & 0xff)) {
+    return null;
+  }
+  return Buffer.from(bytes);
+};
+
+// { version, program } of a mainnet SegWit v0 address, or null
+const decodeSegwitAddress = (address) => {
+  if (typeof address !== 'string' || address.length > 90 || (address !== address.toLowerCase() && address !== address.toUpperCase())) {
+    return null;
+  }
+
+  const text = address.toLowerCase();
+  const separator = text.lastIndexOf('1');
+  if (text.slice(0, separator) !== BITCOIN_HRP || text.length - separator - 1 < 7) {
+    return null;
+  }
+
+  const words = [...text.slice(separator + 1)].map((char) => BECH32_CHARSET.indexOf(char));
+  if (words.includes(-1) || bech32Polymod([...hrpExpand(BITCOIN_HRP), ...words]) !== 1) {
+    return null;
+  }
+
+  // Version 0 uses bech32; later versions use bech32m and are not accepted
+  const [version, ...programWords] = words.slice(0, -6);
+  const program = fromWords(programWords);
+  if (version !== 0 || !program || (program.length !== 20 && program.length !== 32)) {
+    return null;
+  }
+  return { version, program };
+};
+
+// --- Per-chain normalization ---
+
+const normalizeEvmAddress = (address) => {
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    return null;
+  }
+  try {
+    return getAddress(address);
+  } catch (error) {
+    // Mixed case with a wrong EIP-55 checksum, most likely a mistyped address
+    return null;
+  }
+};
+
+const normalizeSolanaAddress = (address) => {
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+    return null;
+  }
+  const publicKey = decodeBase58(address);
+  return publicKey && publicKey.length === 32 ? address : null;
+};
+
+const normalizeBitcoinAddress = (address) => {
+  const decoded = decodeSegwitAddress(address);
+  return decoded && decoded.program.length === 20 ? address.toLowerCase() : null;
+};
+
+const NORMALIZERS = {
+  evm: normalizeEvmAddress,
+  solana: normalizeSolanaAddress,
+  bitcoin: normalizeBitcoinAddress
+};
+
+// Canonical form of an address on the given chain, or null when it is not a valid address there
+const normalizeWalletAddress = (chain, address) => {
+  const normalize = NORMALIZERS[chain];
+  return normalize && typeof address === 'string' ? normalize(address.trim()) : null;
+};
+
+// Chain of a valid address in any supported format, or null
+const detectWalletChain = (address) => WALLET_CHAINS
+  .find((chain) => normalizeWalletAddress(chain, address) !== null) || null;
+
+export {
+  WALLET_CHAINS,
+  decodeBase58,
+  decodeSegwitAddress,
+  normalizeWalletAddress,
+  detectWalletChain
+};